@@ -0,0 +1,202 @@
+// backend/account-data.js
+const archiver = require('archiver');
+const { getStorage } = require('firebase-admin/storage');
+const admin = require('./firebase-admin-init');
+const { deleteInBatches } = require('./firestore-batch');
+
+/*
+ * Data export and account erasure for one uid.
+ *
+ * Export writes a zip archive of everything stored for the user: the profile,
+ * recommendation runs (with the questionnaire answers they were built from),
+ * analysis sessions, photo records and the photo files themselves, usage
+ * counters and recommendation jobs, plus a manifest.
+ *
+ * Deletion runs DELETION_STEPS in order and records each finished step in
+ * accountDeletions/{uid}. A failed step stops the run; calling it again skips
+ * the steps already done. As soon as that document exists requireAuth refuses
+ * the user's tokens (except on DELETE /me, so the deletion can be resumed),
+ * the pipeline refuses to save results for the uid, and the first steps
+ * revoke refresh tokens and delete the user's jobs, which stops queued and
+ * running jobs before their next write. The Firebase Auth user is deleted
+ * last. When all steps are done the document is left behind as the deletion
+ * receipt: uid, timestamps and step names only. The admin audit log is kept;
+ * it records staff access, not data the user provided.
+ */
+
+const DELETION_STEPS = ['sessions', 'jobs', 'storage', 'userData', 'profile', 'usage', 'auth'];
+
+function userStoragePrefix(uid) {
+  return `users/${uid}/`;
+}
+
+function deletionRef(uid) {
+  return admin.firestore().collection('accountDeletions').doc(uid);
+}
+
+// Deletion record (in progress or completed receipt), or null
+async function getAccountDeletion(uid) {
+  const snapshot = await deletionRef(uid).get();
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+async function readCollection(ref) {
+  const snapshot = await ref.get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// Everything stored for the user, without photo file contents
+async function collectAccountData(uid) {
+  const db = admin.firestore();
+  const userDoc = db.collection('users').doc(uid);
+
+  const [profile, recommendations, analysisSessions, photos, usage, jobs] = await Promise.all([
+    db.collection('profiles').doc(uid).get(),
+    readCollection(userDoc.collection('recommendations')),
+    readCollection(userDoc.collection('analysisSessions')),
+    readCollection(userDoc.collection('photos')),
+    db.collection('usage').doc(uid).get(),
+    readCollection(db.collection('jobs').where('userId', '==', uid))
+  ]);
+
+  return {
+    profile: profile.exists ? profile.data() : null,
+    recommendations,
+    analysisSessions,
+    photos,
+    usage: usage.exists ? usage.data() : null,
+    jobs
+  };
+}
+
+// Export contents; photo files are listed here (missing ones noted) and streamed by writeExportArchive
+async function collectAccountExport(uid) {
+  const data = await collectAccountData(uid);
+  const bucket = getStorage().bucket();
+
+  const files = [];
+  const missingPhotos = [];
+  for (const photo of data.photos) {
+    const [exists] = await bucket.file(photo.storagePath).exists();
+    if (!exists) {
+      missingPhotos.push(photo.photoId);
+      continue;
+    }
+    files.push({ name: `photos/${photo.storagePath.split('/').pop()}`, storagePath: photo.storagePath });
+  }
+
+  return { uid, data, files, missingPhotos };
+}
+
+// Zip archive of a collected export, piped to `output` (e.g. an HTTP response)
+async function writeExportArchive({ uid, data, files, missingPhotos }, output) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const json = value => JSON.stringify(value, null, 2);
+  archive.append(json({
+    uid,
+    exportedAt: new Date().toISOString(),
+    counts: {
+      recommendations: data.recommendations.length,
+      analysisSessions: data.analysisSessions.length,
+      photos: files.length,
+      jobs: data.jobs.length
+    },
+    missingPhotos
+  }), { name: 'manifest.json' });
+  archive.append(json(data.profile), { name: 'profile.json' });
+  archive.append(json(data.recommendations), { name: 'recommendations.json' });
+  archive.append(json(data.analysisSessions), { name: 'analysis-sessions.json' });
+  archive.append(json(data.photos), { name: 'photos.json' });
+  archive.append(json(data.usage), { name: 'usage.json' });
+  archive.append(json(data.jobs), { name: 'jobs.json' });
+  // archiver reads one stream at a time, so only the current photo is in memory
+  const bucket = getStorage().bucket();
+  files.forEach(file => archive.append(bucket.file(file.storagePath).createReadStream(), { name: file.name }));
+
+  await archive.finalize();
+  await finished;
+}
+
+// Each step is idempotent, so a retried step is safe
+const STEP_HANDLERS = {
+  // Signed-in devices cannot refresh their ID tokens any more
+  sessions: async uid => {
+    try {
+      await admin.auth().revokeRefreshTokens(uid);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+    }
+  },
+  // Queued, running and retry-pending jobs stop at their next job update
+  jobs: uid => deleteInBatches(admin.firestore().collection('jobs').where('userId', '==', uid)),
+  // Photo files (and anything else under the user's prefix)
+  storage: uid => getStorage().bucket().deleteFiles({ prefix: userStoragePrefix(uid) }),
+  // users/{uid} with photos, recommendations, recommendationCache and analysisSessions
+  userData: uid => admin.firestore().recursiveDelete(admin.firestore().collection('users').doc(uid)),
+  profile: uid => admin.firestore().collection('profiles').doc(uid).delete(),
+  usage: uid => admin.firestore().collection('usage').doc(uid).delete(),
+  auth: async uid => {
+    try {
+      await admin.auth().deleteUser(uid);
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') throw error;
+    }
+  }
+};
+
+// Delete (or finish deleting) an account; returns { success, receipt } or { success: false, error, failedStep, receipt }
+async function deleteAccount(uid) {
+  const ref = deletionRef(uid);
+  const snapshot = await ref.get();
+  const record = snapshot.exists ? snapshot.data() : {
+    uid,
+    status: 'in_progress',
+    requestedAt: new Date().toISOString(),
+    completedSteps: [],
+    completedAt: null
+  };
+
+  if (record.status === 'completed') {
+    return { success: true, receipt: record };
+  }
+
+  record.attempts = (record.attempts || 0) + 1;
+  record.lastError = null;
+  await ref.set(record);
+
+  for (const step of DELETION_STEPS) {
+    if (record.completedSteps.some(done => done.step === step)) continue;
+
+    try {
+      await STEP_HANDLERS[step](uid);
+    } catch (error) {
+      console.error(`[ACCOUNT DELETION ERROR] ${step}`, error);
+      record.lastError = { step, at: new Date().toISOString() };
+      await ref.set(record);
+      return { success: false, error: 'DELETION_INCOMPLETE', failedStep: step, receipt: record };
+    }
+
+    record.completedSteps.push({ step, at: new Date().toISOString() });
+    await ref.set(record);
+  }
+
+  record.status = 'completed';
+  record.completedAt = new Date().toISOString();
+  await ref.set(record);
+  return { success: true, receipt: record };
+}
+
+module.exports = {
+  DELETION_STEPS,
+  getAccountDeletion,
+  collectAccountExport,
+  writeExportArchive,
+  deleteAccount
+};
@@ -0,0 +1,49 @@
+// backend/account-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { createAuthMiddleware } = require('./auth-middleware');
+const { collectAccountExport, writeExportArchive, deleteAccount } = require('./account-data');
+
+const router = express.Router();
+
+// Data Export (zip of profile, answers, recommendation runs and photo files)
+router.get('/export', requireAuth, async (req, res) => {
+  try {
+    const contents = await collectAccountExport(req.user.uid);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="glow-wizard-export-${new Date().toISOString().slice(0, 10)}.zip"`
+    });
+    await writeExportArchive(contents, res);
+
+  } catch (error) {
+    console.error('[EXPORT ERROR]', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Delete Account (repeat the request to resume after DELETION_INCOMPLETE; still allowed
+// once deletion has started, and returns the receipt when it is complete)
+router.delete('/', createAuthMiddleware({ allowPendingDeletion: true }), async (req, res) => {
+  try {
+    const result = await deleteAccount(req.user.uid);
+
+    if (!result.success) {
+      return res.status(500).json({
+        error: result.error,
+        failedStep: result.failedStep,
+        completedSteps: result.receipt.completedSteps
+      });
+    }
+
+    res.json({ success: true, receipt: result.receipt });
+
+  } catch (error) {
+    console.error('[ACCOUNT DELETION ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
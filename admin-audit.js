@@ -0,0 +1,27 @@
+// backend/admin-audit.js
+const admin = require('./firebase-admin-init');
+
+/*
+ * Append-only audit log of admin actions, stored as auditLog/{entryId}.
+ * Every /admin route records who did what to whom before it responds; reads
+ * of user data are logged as well as changes.
+ */
+
+// Write one entry; throws if it cannot be stored so the action is not reported as done
+async function recordAdminAction(actor, action, { targetUid = null, details = {} } = {}) {
+  const ref = admin.firestore().collection('auditLog').doc();
+  const entry = {
+    entryId: ref.id,
+    action,
+    actorUid: actor.uid,
+    actorEmail: actor.email || null,
+    targetUid,
+    details,
+    at: new Date().toISOString()
+  };
+
+  await ref.set(entry);
+  return entry;
+}
+
+module.exports = { recordAdminAction };
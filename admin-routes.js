@@ -0,0 +1,139 @@
+// backend/admin-routes.js
+const express = require('express');
+const { createAuthMiddleware } = require('./auth-middleware');
+const { requireRole } = require('./role-middleware');
+const { recordAdminAction } = require('./admin-audit');
+const { getUserRoles, setUserRole } = require('./user-roles');
+const { getProfileFromFirestore } = require('./profile-processor');
+const { listRecommendationRuns, getRecommendationRun } = require('./recommendation-history');
+
+const router = express.Router();
+
+// Support staff can look users up; only admins change roles. Every action is audited.
+// Tokens are checked for revocation so a revoked role stops working immediately.
+router.use(createAuthMiddleware({ checkRevoked: true }));
+const canLookUp = requireRole('admin', 'support');
+const canManageRoles = requireRole('admin');
+
+// User Profile
+router.get('/users/:uid/profile', canLookUp, async (req, res) => {
+  try {
+    await recordAdminAction(req.user, 'profile.read', { targetUid: req.params.uid });
+    const profile = await getProfileFromFirestore(req.params.uid);
+
+    if (profile === null) {
+      return res.status(404).json({ error: "PROFILE_NOT_FOUND" });
+    }
+    if (profile.error) {
+      return res.status(500).json({ error: "INTERNAL_ERROR" });
+    }
+
+    res.json({ success: true, profile });
+
+  } catch (error) {
+    console.error('[ADMIN ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// User Recommendation History (newest first, ?limit=&cursor=)
+router.get('/users/:uid/recommendations', canLookUp, async (req, res) => {
+  try {
+    await recordAdminAction(req.user, 'recommendations.list', { targetUid: req.params.uid });
+    const page = await listRecommendationRuns(req.params.uid, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json({ success: true, ...page });
+
+  } catch (error) {
+    console.error('[ADMIN ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// User Recommendation Run Detail
+router.get('/users/:uid/recommendations/:runId', canLookUp, async (req, res) => {
+  try {
+    await recordAdminAction(req.user, 'recommendations.read', {
+      targetUid: req.params.uid,
+      details: { runId: req.params.runId }
+    });
+    const run = await getRecommendationRun(req.params.uid, req.params.runId);
+
+    if (!run) {
+      return res.status(404).json({ error: "RECOMMENDATION_NOT_FOUND" });
+    }
+
+    res.json({ success: true, run });
+
+  } catch (error) {
+    console.error('[ADMIN ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// User Roles
+router.get('/users/:uid/roles', canLookUp, async (req, res) => {
+  try {
+    await recordAdminAction(req.user, 'roles.read', { targetUid: req.params.uid });
+    const result = await getUserRoles(req.params.uid);
+
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.json({ success: true, roles: result.roles });
+
+  } catch (error) {
+    console.error('[ADMIN ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Grant Role (takes effect when the user's ID token is next refreshed)
+router.put('/users/:uid/roles/:role', canManageRoles, async (req, res) => {
+  await changeRole(req, res, true);
+});
+
+// Revoke Role (signs the user out everywhere; /admin refuses their current token at once)
+router.delete('/users/:uid/roles/:role', canManageRoles, async (req, res) => {
+  // An admin removing their own admin role could leave nobody able to manage roles
+  if (req.params.uid === req.user.uid && req.params.role === 'admin') {
+    return res.status(400).json({ error: "CANNOT_REVOKE_OWN_ADMIN" });
+  }
+  await changeRole(req, res, false);
+});
+
+async function changeRole(req, res, granted) {
+  const { uid, role } = req.params;
+
+  try {
+    // Audited before the claims change, so no change is ever made without an entry
+    await recordAdminAction(req.user, granted ? 'role.grant' : 'role.revoke', {
+      targetUid: uid,
+      details: { role }
+    });
+    const result = await setUserRole(uid, role, granted);
+
+    if (result.error === 'UNKNOWN_ROLE') {
+      return res.status(400).json({ error: result.error });
+    }
+    if (result.error) {
+      return res.status(404).json({ error: result.error });
+    }
+
+    res.json({ success: true, roles: result.roles, changed: result.changed });
+
+  } catch (error) {
+    console.error('[ADMIN ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,148 @@
+// backend/ai-providers.js
+const { OpenAI } = require('openai');
+const { createLocalProvider } = require('./local-ai-provider');
+
+/*
+ * AI provider selection. Every provider exposes the same shape:
+ *
+ *   {
+ *     name: 'openai' | 'openai-compatible' | 'local',
+ *     model: string,
+ *     generate({ systemPrompt, userContent, history, profile, photoAnalysis, catalog, locale, temperature, maxTokens, onToken })
+ *       -> Promise<{ text, model, usage }>
+ *   }
+ *
+ *   history holds follow-up { role, content } messages (e.g. repair requests)
+ *   that come after the initial user message. When onToken is given the
+ *   output is streamed and onToken(delta) is called for each piece of text
+ *   as it arrives; the resolved text is still the complete output.
+ *
+ * Configuration (environment):
+ *   AI_PROVIDER     openai | openai-compatible | local
+ *                   (default: openai when OPENAI_API_KEY is set, otherwise local)
+ *   AI_MODEL        model name (default: gpt-4o; required for openai-compatible)
+ *   OPENAI_API_KEY  key for the openai provider
+ *   AI_BASE_URL     base URL of a self-hosted OpenAI-compatible server
+ *   AI_API_KEY      key for the OpenAI-compatible server, if it needs one
+ *   AI_TIMEOUT_MS   request timeout (default: 15000)
+ */
+
+const DEFAULT_MODEL = 'gpt-4o';
+
+let cachedProvider = null;
+
+// Adapter for the OpenAI chat completions API (also used for compatible servers)
+function createOpenAIProvider({ name, apiKey, baseURL, model, timeout }) {
+  const client = new OpenAI({ apiKey, baseURL, timeout });
+
+  return {
+    name,
+    model,
+    async generate({ systemPrompt, userContent, history = [], temperature, maxTokens, onToken }) {
+      const request = {
+        model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userContent },
+          ...history
+        ],
+        temperature,
+        max_tokens: maxTokens
+      };
+
+      if (onToken) {
+        // Only the OpenAI API is known to report usage on streams
+        return streamCompletion(client, request, onToken, name === 'openai');
+      }
+
+      const response = await client.chat.completions.create(request);
+
+      return {
+        text: response.choices[0].message.content,
+        model: response.model || model,
+        usage: response.usage || null
+      };
+    }
+  };
+}
+
+// Streamed variant of a completion; usage is null unless the server reports it on streams
+async function streamCompletion(client, request, onToken, includeUsage) {
+  const stream = await client.chat.completions.create({
+    ...request,
+    stream: true,
+    ...(includeUsage ? { stream_options: { include_usage: true } } : {})
+  });
+  let text = '';
+  let model = request.model;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+    const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+    if (delta) {
+      text += delta;
+      onToken(delta);
+    }
+  }
+
+  return { text, model, usage };
+}
+
+// Build the provider named by configuration
+function createProvider(env = process.env) {
+  const name = env.AI_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'local');
+  const timeout = parseInt(env.AI_TIMEOUT_MS, 10) || 15000;
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw new Error('AI_CONFIG_ERROR: OPENAI_API_KEY is required for the openai provider');
+      }
+      return createOpenAIProvider({
+        name,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.AI_MODEL || DEFAULT_MODEL,
+        timeout
+      });
+
+    case 'openai-compatible':
+      if (!env.AI_BASE_URL || !env.AI_MODEL) {
+        throw new Error('AI_CONFIG_ERROR: AI_BASE_URL and AI_MODEL are required for the openai-compatible provider');
+      }
+      return createOpenAIProvider({
+        name,
+        // Self-hosted servers often accept any key, but the SDK insists on one
+        apiKey: env.AI_API_KEY || 'not-needed',
+        baseURL: env.AI_BASE_URL,
+        model: env.AI_MODEL,
+        timeout
+      });
+
+    case 'local':
+      return createLocalProvider();
+
+    default:
+      throw new Error(`AI_CONFIG_ERROR: Unknown AI_PROVIDER "${name}"`);
+  }
+}
+
+// Configured provider, created on first use
+function getAIProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createProvider();
+  }
+  return cachedProvider;
+}
+
+// Swap the provider (tests) or clear it so configuration is re-read
+function setAIProvider(provider) {
+  cachedProvider = provider;
+}
+
+module.exports = {
+  createProvider,
+  getAIProvider,
+  setAIProvider
+};
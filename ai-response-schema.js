@@ -0,0 +1,116 @@
+// backend/ai-response-schema.js
+const Joi = require('joi');
+const { CONCERNS } = require('./data-validator');
+
+// Allowed values in model output
+const RECOMMENDATION_CATEGORIES = ['Cleanser', 'Moisturizer', 'Treatment', 'Sunscreen'];
+const ROUTINE_TIMES = ['Morning', 'Night', 'Both'];
+const FINDING_REGIONS = ['forehead', 'cheeks', 'chin', 'under-eye'];
+const SEVERITY_LEVELS = ['none', 'mild', 'moderate', 'severe'];
+
+const findingSchema = Joi.object({
+  region: Joi.string().valid(...FINDING_REGIONS).required(),
+  observation: Joi.string().trim().min(1).required(),
+  severity: Joi.string().valid(...SEVERITY_LEVELS).required(),
+  relatedConcern: Joi.string().valid(...CONCERNS)
+});
+
+const recommendationSchema = Joi.object({
+  productId: Joi.string().trim().min(1).required(),
+  category: Joi.string().valid(...RECOMMENDATION_CATEGORIES).required(),
+  product: Joi.string().trim().min(1).required(),
+  ingredients: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+  routine: Joi.string().valid(...ROUTINE_TIMES).required(),
+  reasoning: Joi.string().trim().min(1).required()
+});
+
+// Whole response; unknown keys are violations, not silently passed on
+const aiResponseSchema = Joi.object({
+  findings: Joi.array().items(findingSchema).default([]),
+  recommendations: Joi.array().items(recommendationSchema).min(1).required()
+});
+
+// Raised when the model still returns invalid output after all repair attempts
+class AIResponseValidationError extends Error {
+  constructor(violations, attempts) {
+    super(`AI_RESPONSE_INVALID: ${violations.join('; ')}`);
+    this.name = 'AIResponseValidationError';
+    this.code = 'AI_RESPONSE_INVALID';
+    this.violations = violations;
+    this.attempts = attempts;
+  }
+}
+
+// Accept bare JSON, optionally wrapped in a single ```json fence, and nothing else
+function extractJson(responseText) {
+  if (typeof responseText !== 'string' || responseText.trim() === '') {
+    return { error: 'Response was empty' };
+  }
+
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(responseText.trim());
+  const candidate = fenced ? fenced[1] : responseText.trim();
+
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    return { error: `Response is not valid JSON (no prose allowed around it): ${error.message}` };
+  }
+}
+
+// Every recommendation must resolve to a catalog product of the same category
+function checkCatalogReferences(result, catalog) {
+  const byId = new Map(catalog.map(product => [product.productId, product]));
+  const violations = [];
+
+  result.recommendations.forEach((recommendation, index) => {
+    const product = byId.get(recommendation.productId);
+    if (!product) {
+      violations.push(`"recommendations[${index}].productId" ${recommendation.productId} is not in the approved product list`);
+    } else if (product.category !== recommendation.category) {
+      violations.push(`"recommendations[${index}].category" must be ${product.category} for product ${product.productId}`);
+    }
+  });
+
+  return violations;
+}
+
+// Validate raw model output; returns the cleaned result or a list of specific violations
+function validateAIResponse(responseText, { catalog } = {}) {
+  const parsed = extractJson(responseText);
+  if (parsed.error) {
+    return { valid: false, violations: [parsed.error] };
+  }
+
+  const { error, value } = aiResponseSchema.validate(parsed.value, { abortEarly: false });
+  if (error) {
+    return {
+      valid: false,
+      violations: error.details.map(detail => detail.message)
+    };
+  }
+
+  if (catalog) {
+    const violations = checkCatalogReferences(value, catalog);
+    if (violations.length > 0) {
+      return { valid: false, violations };
+    }
+
+    // Product names always come from the catalog, never from the model
+    const byId = new Map(catalog.map(product => [product.productId, product]));
+    value.recommendations.forEach(recommendation => {
+      const product = byId.get(recommendation.productId);
+      recommendation.product = `${product.brand} ${product.name}`;
+    });
+  }
+
+  return { valid: true, value };
+}
+
+module.exports = {
+  RECOMMENDATION_CATEGORIES,
+  ROUTINE_TIMES,
+  FINDING_REGIONS,
+  SEVERITY_LEVELS,
+  AIResponseValidationError,
+  validateAIResponse
+};
@@ -1,39 +1,56 @@
-const admin = require('firebase-admin');
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    projectId: process.env.GCLOUD_PROJECT || 'glow-wizard-mvp-cfa97',
-    credential: {
-      getAccessToken: () => Promise.resolve({
-        access_token: 'owner',
-        expires_in: 3600
-      })
+const admin = require('./firebase-admin-init');
+const { getAccountDeletion } = require('./account-data');
+const { negotiateLocale } = require('./localization');
+
+// Options: allowPendingDeletion lets a user whose account deletion has started
+// through (only the deletion route itself needs this, to resume or read the receipt);
+// checkRevoked also rejects ID tokens whose refresh tokens were revoked (one extra
+// Auth lookup per request, so only routes guarded by roles use it)
+function createAuthMiddleware({ allowPendingDeletion = false, checkRevoked = false } = {}) {
+  return async function requireAuth(req, res, next) {
+    let decodedToken;
+    try {
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader?.startsWith('Bearer ')) {
+        return res.status(401).json({ error: "Missing Authorization header", code: "MISSING_AUTH_HEADER" });
+      }
+
+      const idToken = authHeader.split('Bearer ')[1].trim();
+      decodedToken = await admin.auth().verifyIdToken(idToken, checkRevoked);
+    } catch (error) {
+      console.error('Auth failed:', error);
+      return res.status(401).json({ error: "Invalid token", code: "INVALID_TOKEN" });
     }
-  });
-}
 
-async function requireAuth(req, res, next) {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader?.startsWith('Bearer ')) {
-      return res.status(401).json({ error: "Missing Authorization header" });
+    // Tokens issued before an account deletion stay valid for up to an hour; refuse them
+    try {
+      if (!allowPendingDeletion && await getAccountDeletion(decodedToken.uid)) {
+        return res.status(401).json({ error: "Account deleted", code: "ACCOUNT_DELETED" });
+      }
+    } catch (error) {
+      console.error('Account deletion check failed:', error);
+      return res.status(500).json({ error: "INTERNAL_ERROR" });
     }
 
-    const idToken = authHeader.split('Bearer ')[1].trim();
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
-    
+    // The profile locale submitted with a recommendation request, else the one saved on the
+    // profile (mirrored into the `locale` claim); runs before body validation so its messages match
+    req.locale = negotiateLocale(req.get('Accept-Language'), req.body?.profileData?.locale || decodedToken.locale);
+
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      authTime: decodedToken.auth_time
+      authTime: decodedToken.auth_time,
+      tier: decodedToken.tier || null, // usage quota tier (custom claim)
+      roles: Array.isArray(decodedToken.roles) ? decodedToken.roles : [], // e.g. ['admin'] (custom claim)
+      locale: decodedToken.locale || null // profile locale (custom claim)
     };
-    
+
     next();
-  } catch (error) {
-    console.error('Auth failed:', error);
-    res.status(401).json({ error: "Invalid token" });
-  }
+  };
 }
 
+const requireAuth = createAuthMiddleware();
+
 module.exports = requireAuth;
+module.exports.createAuthMiddleware = createAuthMiddleware;
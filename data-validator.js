@@ -1,6 +1,7 @@
 // backend/data-validator.js
 const validator = require('validator');
 const Joi = require('joi');
+const { SUPPORTED_LOCALES, validationPreferences } = require('./localization');
 
 function sanitizeUserInput(input) {
   let sanitized = validator.escape(input.stringInput || '');
@@ -12,13 +13,96 @@ function sanitizeUserInput(input) {
   };
 }
 
-function validateAPIRequest(data) {
-  const schema = Joi.object({
-    userId: Joi.string().alphanum().min(20).max(28).required(),
-    skinType: Joi.string().valid('dry', 'oily', 'combination', 'sensitive').required(),
-    concerns: Joi.array().items(Joi.string().max(50)).max(5).required()
+/*
+ * Request schemas shared by every route that accepts profile or
+ * recommendation input, so the allowed values are defined once. Validation
+ * reports every problem as { path, message }, where path is the dotted field
+ * path in the request body (e.g. "profileData.skinType"), and code is the
+ * Joi error type; messages come from the locale's catalog (localization.js).
+ */
+
+const SKIN_TYPES = ['dry', 'oily', 'combination', 'normal', 'sensitive'];
+const CONCERNS = ['acne', 'wrinkles', 'redness', 'dryness', 'dark spots', 'sensitivity'];
+
+// Photos per recommendation request (URLs and uploaded IDs together)
+const MAX_REQUEST_PHOTOS = 5;
+
+// Uploaded photo IDs are Firestore document IDs; no '/' or other path characters
+const PHOTO_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const profileKeys = {
+  name: Joi.string().trim().min(1).max(100),
+  age: Joi.number().integer().min(13).max(120),
+  skinType: Joi.string().valid(...SKIN_TYPES),
+  concerns: Joi.array().items(Joi.string().valid(...CONCERNS)).unique().max(CONCERNS.length),
+  location: Joi.string().trim().min(2).max(100),
+  pregnancyOrBreastfeeding: Joi.boolean(),
+  locale: Joi.string().valid(...SUPPORTED_LOCALES)
+};
+
+// Stored profile (PUT /profiles/me): everything but the pregnancy flag is required
+const profileSchema = Joi.object(profileKeys)
+  .fork(['name', 'age', 'skinType', 'concerns', 'location'], schema => schema.required());
+
+// Partial profile update (PATCH /profiles/me): any non-empty subset
+const profileUpdateSchema = Joi.object(profileKeys).min(1);
+
+// Profile as sent with a recommendation request: only what the engine needs is required
+const requestProfileSchema = Joi.object(profileKeys)
+  .fork(['skinType', 'concerns'], schema => schema.required());
+
+// POST /apirecommendations body; questionnaire answers are checked per question by the
+// questionnaire definition, so only their shape is checked here
+const recommendationRequestSchema = Joi.object({
+  profileData: requestProfileSchema.required(),
+  questionnaireAnswers: Joi.object().unknown(true),
+  questionnaireVersion: Joi.number().integer().min(1),
+  photos: Joi.array().items(Joi.string().trim().max(2048)).max(MAX_REQUEST_PHOTOS),
+  photoIds: Joi.array().items(Joi.string().trim().min(1).max(128).pattern(PHOTO_ID_PATTERN)).unique().max(MAX_REQUEST_PHOTOS)
+}).custom((value, helpers) => (
+  (value.photos || []).length + (value.photoIds || []).length > MAX_REQUEST_PHOTOS
+    ? helpers.error('request.tooManyPhotos', { limit: MAX_REQUEST_PHOTOS })
+    : value
+));
+
+// Validate against a schema; returns { valid: true, value } or { valid: false, errors: [{ path, code, message }] }
+function validateSchema(schema, data, { stripUnknown = false, locale } = {}) {
+  const preferences = validationPreferences(locale);
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown,
+    messages: preferences.messages,
+    errors: { ...preferences.errors, wrap: { label: false } }
   });
-  return schema.validate(data);
+  if (error) {
+    return {
+      valid: false,
+      errors: error.details.map(detail => ({ path: detail.path.join('.') || null, code: detail.type, message: detail.message }))
+    };
+  }
+  return { valid: true, value };
+}
+
+function validateAPIRequest(data, { locale } = {}) {
+  return validateSchema(recommendationRequestSchema, data, { locale });
+}
+
+// Unknown profile keys (including a client-supplied userId) are dropped rather than rejected
+function validateProfile(data, { partial = false, locale } = {}) {
+  return validateSchema(partial ? profileUpdateSchema : profileSchema, data, { stripUnknown: true, locale });
+}
+
+// Middleware: replace req.body with the validated value, or answer 400 with field-level errors
+// in the request's locale; validate(body, { locale }) returns the validateSchema shape
+function validateBody(validate, errorCode = 'INVALID_REQUEST') {
+  return (req, res, next) => {
+    const result = validate(req.body, { locale: req.locale });
+    if (!result.valid) {
+      return res.status(400).json({ error: errorCode, details: result.errors });
+    }
+    req.body = result.value;
+    next();
+  };
 }
 
 function preventInjectionAttacks(input) {
@@ -27,7 +111,13 @@ function preventInjectionAttacks(input) {
 }
 
 module.exports = {
+  SKIN_TYPES,
+  CONCERNS,
+  MAX_REQUEST_PHOTOS,
+  PHOTO_ID_PATTERN,
   sanitizeUserInput,
   validateAPIRequest,
+  validateProfile,
+  validateBody,
   preventInjectionAttacks
 };
@@ -0,0 +1,123 @@
+// backend/fallback-recommender.js
+const { DEFAULT_LOCALE, translate } = require('./localization');
+
+/*
+ * Rule-based recommender. Builds a basic cleanser / moisturizer / treatment /
+ * sunscreen routine from skin type, concerns and processed questionnaire
+ * answers, picking products from the approved catalog when one is available.
+ * Used when the AI path fails (source: "fallback") and by the offline local
+ * AI provider, so the same inputs always give the same routine. Reasoning
+ * comes from the `fallback` section of the locale's message catalog.
+ */
+
+// Ingredients wanted in the cleanser and moisturizer for each skin type
+const BASE_ROUTINE = {
+  dry: { cleanser: ["Glycerin", "Ceramide"], moisturizer: ["Ceramide", "Squalane", "Hyaluronic Acid"] },
+  oily: { cleanser: ["Salicylic Acid", "Zinc PCA"], moisturizer: ["Hyaluronic Acid", "Niacinamide"] },
+  combination: { cleanser: ["Glycerin", "Panthenol"], moisturizer: ["Hyaluronic Acid", "Niacinamide"] },
+  normal: { cleanser: ["Glycerin"], moisturizer: ["Hyaluronic Acid", "Ceramide"] },
+  sensitive: { cleanser: ["Glycerin", "Allantoin"], moisturizer: ["Ceramide", "Centella Asiatica"] }
+};
+
+// Treatment ingredients and timing for each reported concern
+const CONCERN_TREATMENTS = {
+  'acne': { ingredients: ["Salicylic Acid", "Niacinamide"], routine: "Night" },
+  'wrinkles': { ingredients: ["Retinol", "Peptides"], routine: "Night" },
+  'redness': { ingredients: ["Azelaic Acid", "Centella Asiatica"], routine: "Both" },
+  'dryness': { ingredients: ["Hyaluronic Acid", "Panthenol"], routine: "Both" },
+  'dark spots': { ingredients: ["Ascorbic Acid", "Tranexamic Acid"], routine: "Morning" },
+  'sensitivity': { ingredients: ["Ceramide", "Panthenol"], routine: "Night" }
+};
+
+const SUNSCREEN_INGREDIENTS = ["Zinc Oxide", "Niacinamide"];
+
+// Generic descriptions used when no catalog product can be matched
+const GENERIC_PRODUCTS = {
+  Cleanser: "A gentle, fragrance-free cleanser",
+  Moisturizer: "A fragrance-free moisturizer for your skin type",
+  Treatment: "A serum with the listed active ingredients",
+  Sunscreen: "A broad-spectrum SPF 30+ sunscreen"
+};
+
+// Stress at or above this level keeps the routine to a single treatment
+const HIGH_STRESS_LEVEL = 7;
+// Fewer glasses of water per day than this counts as low hydration
+const LOW_HYDRATION = 4;
+
+// Wanted ingredients present in a product (case-insensitive partial match)
+function matchIngredients(product, wanted) {
+  return wanted.filter(ingredient =>
+    product.ingredients.some(name => name.toLowerCase().includes(ingredient.toLowerCase()))
+  );
+}
+
+// Catalog product of a category with the most wanted ingredients; ties go to the lowest ID
+function pickProduct(catalog, category, wanted, exclude = []) {
+  return catalog
+    .filter(product => product.category === category && !exclude.includes(product.productId))
+    .map(product => ({ product, matched: matchIngredients(product, wanted) }))
+    .sort((a, b) => b.matched.length - a.matched.length || a.product.productId.localeCompare(b.product.productId))[0] || null;
+}
+
+// Shape a catalog pick (or a generic placeholder) as a recommendation
+function toRecommendation(pick, category, wanted, routine, reasoning) {
+  if (!pick) {
+    return { productId: null, category, product: GENERIC_PRODUCTS[category], ingredients: wanted, routine, reasoning };
+  }
+  return {
+    productId: pick.product.productId,
+    category,
+    product: `${pick.product.brand} ${pick.product.name}`,
+    ingredients: pick.matched.length > 0 ? pick.matched : pick.product.ingredients.slice(0, 2),
+    routine,
+    reasoning
+  };
+}
+
+// Catalog reasoning with skin type and concern names in the same locale
+function reasoning(locale, key, { skinType, concern } = {}) {
+  return translate(locale, `fallback.${key}`, {
+    skinType: skinType && translate(locale, `fallback.skinTypes.${skinType}`),
+    concern: concern && translate(locale, `fallback.concerns.${concern}`)
+  });
+}
+
+// Build a four-step routine from profile, processed answers and catalog
+function buildFallbackRecommendations(profile = {}, catalog = [], { locale = DEFAULT_LOCALE } = {}) {
+  const skinType = BASE_ROUTINE[profile.skinType] ? profile.skinType : 'normal';
+  const base = BASE_ROUTINE[skinType];
+  const concerns = (Array.isArray(profile.concerns) ? profile.concerns : []).filter(concern => CONCERN_TREATMENTS[concern]);
+  const answers = profile.processedAnswers || {};
+
+  const lowHydration = typeof answers.hydration === 'number' && answers.hydration < LOW_HYDRATION;
+  const highStress = typeof answers.stressLevel === 'number' && answers.stressLevel >= HIGH_STRESS_LEVEL;
+  const highSun = answers.sunExposure === 'high';
+
+  const moisturizerWanted = lowHydration ? [...new Set(["Hyaluronic Acid", ...base.moisturizer])] : base.moisturizer;
+  const recommendations = [
+    toRecommendation(pickProduct(catalog, "Cleanser", base.cleanser), "Cleanser", base.cleanser, "Both",
+      reasoning(locale, 'CLEANSER', { skinType })),
+    toRecommendation(pickProduct(catalog, "Moisturizer", moisturizerWanted), "Moisturizer", moisturizerWanted, "Both",
+      reasoning(locale, lowHydration ? 'MOISTURIZER_LOW_HYDRATION' : 'MOISTURIZER', { skinType }))
+  ];
+
+  // One treatment per concern, or only the first when stress is high to keep the routine simple
+  const usedTreatments = [];
+  concerns.slice(0, highStress ? 1 : concerns.length).forEach(concern => {
+    const treatment = CONCERN_TREATMENTS[concern];
+    const pick = pickProduct(catalog, "Treatment", treatment.ingredients, usedTreatments);
+    const matched = pick && pick.matched.length > 0 ? pick : null;
+    if (matched) usedTreatments.push(matched.product.productId);
+    if (matched || catalog.length === 0) {
+      recommendations.push(toRecommendation(matched, "Treatment", treatment.ingredients, treatment.routine,
+        reasoning(locale, highStress ? 'TREATMENT_HIGH_STRESS' : 'TREATMENT', { concern })));
+    }
+  });
+
+  recommendations.push(toRecommendation(pickProduct(catalog, "Sunscreen", SUNSCREEN_INGREDIENTS), "Sunscreen", SUNSCREEN_INGREDIENTS, "Morning",
+    reasoning(locale, highSun ? 'SUNSCREEN_HIGH_SUN' : 'SUNSCREEN')));
+
+  return { findings: [], recommendations };
+}
+
+module.exports = { buildFallbackRecommendations };
@@ -0,0 +1,18 @@
+// backend/firebase-admin-init.js
+const admin = require('firebase-admin');
+
+// Single shared Admin SDK app; the static token lets the emulators accept our calls
+if (!admin.apps.length) {
+  admin.initializeApp({
+    projectId: process.env.GCLOUD_PROJECT || 'glow-wizard-mvp-cfa97',
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || 'glow-wizard-mvp-cfa97.appspot.com',
+    credential: {
+      getAccessToken: () => Promise.resolve({
+        access_token: 'owner',
+        expires_in: 3600
+      })
+    }
+  });
+}
+
+module.exports = admin;
@@ -0,0 +1,24 @@
+// backend/firestore-batch.js
+const admin = require('./firebase-admin-init');
+
+/*
+ * Bulk deletes for queries that can match more documents than one Firestore
+ * batch may write. Used for expired job cleanup and account erasure.
+ */
+
+// Firestore batches take at most 500 writes
+const DELETE_BATCH_SIZE = 500;
+
+// Delete every document the query matches, one full batch at a time
+async function deleteInBatches(query) {
+  for (;;) {
+    const snapshot = await query.limit(DELETE_BATCH_SIZE).get();
+    if (snapshot.empty) return;
+
+    const batch = admin.firestore().batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+module.exports = { deleteInBatches };
@@ -0,0 +1,213 @@
+/**
+ * Image Header Parser - Glow Wizard MVP
+ *
+ * Purpose: Identify image formats from magic bytes and read true dimensions,
+ * orientation and bit depth from the first bytes of an image file
+ *
+ * Constraints:
+ * - Pure functions over Buffers, no network or Firebase access
+ * - Only reads the leading bytes of whatever buffer it is given (a whole
+ *   upload or download)
+ *
+ * Supported Headers:
+ * - JPEG: SOFn marker segment
+ * - PNG: IHDR chunk
+ * - WebP: VP8 (lossy), VP8L (lossless) and VP8X (extended) chunks
+ *
+ * Integration Points:
+ * - Used by photo-analyzer.js during metadata extraction
+ */
+
+// Channel count for each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Detects the real image format from the file signature
+ * @param {Buffer} buffer - Leading bytes of the image file
+ * @returns {string} - 'JPEG', 'PNG', 'WebP' or 'UNKNOWN'
+ */
+function detectFormatFromMagicBytes(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return 'UNKNOWN';
+
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'JPEG';
+    if (buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) return 'PNG';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'WebP';
+    return 'UNKNOWN';
+}
+
+/**
+ * Reads dimensions from a JPEG start-of-frame segment
+ * @param {Buffer} buffer - Leading bytes of a JPEG file
+ * @returns {Object|null} - Width, height, bit depth and channels, or null if no SOF was found
+ */
+function parseJpegHeader(buffer) {
+    let offset = 2; // Skip SOI
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+
+        // Skip fill bytes between markers
+        let marker = buffer[offset + 1];
+        while (marker === 0xFF && offset + 2 < buffer.length) {
+            offset++;
+            marker = buffer[offset + 1];
+        }
+        offset += 2;
+
+        // Standalone markers carry no length field
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+        if (marker === 0xD9 || marker === 0xDA) return null; // EOI / start of scan before any SOF
+
+        if (offset + 2 > buffer.length) return null;
+        const segmentLength = buffer.readUInt16BE(offset);
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF
+            && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+
+        if (isStartOfFrame) {
+            if (offset + 8 > buffer.length) return null;
+            return {
+                bitDepth: buffer[offset + 2],
+                height: buffer.readUInt16BE(offset + 3),
+                width: buffer.readUInt16BE(offset + 5),
+                channels: buffer[offset + 7]
+            };
+        }
+
+        offset += segmentLength;
+    }
+
+    return null;
+}
+
+/**
+ * Reads dimensions from a PNG IHDR chunk
+ * @param {Buffer} buffer - Leading bytes of a PNG file
+ * @returns {Object|null} - Width, height, bit depth and channels, or null if IHDR is missing
+ */
+function parsePngHeader(buffer) {
+    if (buffer.length < 26 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+
+    const colorType = buffer[25];
+    return {
+        width: buffer.readUInt32BE(16),
+        height: buffer.readUInt32BE(20),
+        bitDepth: buffer[24],
+        channels: PNG_CHANNELS[colorType] || null
+    };
+}
+
+/**
+ * Reads dimensions from the first WebP chunk (VP8, VP8L or VP8X)
+ * @param {Buffer} buffer - Leading bytes of a WebP file
+ * @returns {Object|null} - Width, height, bit depth and channels, or null if the chunk is unrecognised
+ */
+function parseWebpHeader(buffer) {
+    if (buffer.length < 30) return null;
+
+    const chunkType = buffer.toString('ascii', 12, 16);
+
+    if (chunkType === 'VP8 ') {
+        // Lossy bitstream: 3-byte frame tag, then start code 9D 01 2A
+        if (buffer[23] !== 0x9D || buffer[24] !== 0x01 || buffer[25] !== 0x2A) return null;
+        return {
+            width: buffer.readUInt16LE(26) & 0x3FFF,
+            height: buffer.readUInt16LE(28) & 0x3FFF,
+            bitDepth: 8,
+            channels: 3
+        };
+    }
+
+    if (chunkType === 'VP8L') {
+        // Lossless bitstream: signature byte 0x2F, then 14-bit width-1 and height-1
+        if (buffer[20] !== 0x2F) return null;
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1,
+            bitDepth: 8,
+            channels: (bits >> 28) & 0x1 ? 4 : 3
+        };
+    }
+
+    if (chunkType === 'VP8X') {
+        // Extended format: flags byte, 3 reserved bytes, 24-bit canvas width-1 and height-1
+        const hasAlpha = (buffer[20] & 0x10) !== 0;
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+            bitDepth: 8,
+            channels: hasAlpha ? 4 : 3
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Derives orientation label and aspect ratio from dimensions
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} - Orientation ('landscape', 'portrait' or 'square') and aspect ratio string
+ */
+function describeOrientation(width, height) {
+    let orientation = 'square';
+    if (width > height) orientation = 'landscape';
+    if (height > width) orientation = 'portrait';
+
+    return {
+        orientation,
+        aspectRatio: height > 0 ? (width / height).toFixed(2) : null
+    };
+}
+
+/**
+ * Parses an image header buffer into format and dimension details
+ * @param {Buffer} buffer - Leading bytes of the image file
+ * @returns {Object} - Parse result with success flag, format and dimensions
+ */
+function parseImageHeader(buffer) {
+    const format = detectFormatFromMagicBytes(buffer);
+
+    if (format === 'UNKNOWN') {
+        return {
+            success: false,
+            format,
+            error: 'UNRECOGNIZED_FORMAT',
+            message: 'File signature does not match JPEG, PNG or WebP'
+        };
+    }
+
+    let header = null;
+    if (format === 'JPEG') header = parseJpegHeader(buffer);
+    if (format === 'PNG') header = parsePngHeader(buffer);
+    if (format === 'WebP') header = parseWebpHeader(buffer);
+
+    if (!header || !header.width || !header.height) {
+        return {
+            success: false,
+            format,
+            error: 'HEADER_PARSE_FAILED',
+            message: `Could not read ${format} dimensions from file header`
+        };
+    }
+
+    return {
+        success: true,
+        format,
+        dimensions: {
+            width: header.width,
+            height: header.height,
+            ...describeOrientation(header.width, header.height)
+        },
+        bitDepth: header.bitDepth,
+        channels: header.channels
+    };
+}
+
+module.exports = {
+    detectFormatFromMagicBytes,
+    parseImageHeader,
+    describeOrientation
+};
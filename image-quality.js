@@ -0,0 +1,188 @@
+/**
+ * Image Quality Module - Glow Wizard MVP
+ *
+ * Purpose: Decode photos locally and measure pixel-level quality signals
+ * (sharpness, exposure, colour cast, lighting balance) before an AI call
+ *
+ * Constraints:
+ * - Pure analysis over Buffers, no network or Firebase access
+ * - Works on a downscaled copy so cost is independent of upload size
+ *
+ * Dependencies:
+ * - sharp for decoding JPEG, PNG and WebP to raw RGB
+ *
+ * Integration Points:
+ * - Used by photo-analyzer.js; results feed assessImageQuality()
+ */
+
+const sharp = require('sharp');
+
+// Longest edge used for analysis; keeps Laplacian variance comparable across uploads
+const ANALYSIS_SIZE = 512;
+
+// Thresholds on 0-255 luminance unless noted otherwise
+const QUALITY_THRESHOLDS = {
+    minSharpness: 100,        // Laplacian variance below this reads as blurry
+    minMeanLuminance: 60,     // Whole photo too dark
+    maxMeanLuminance: 200,    // Whole photo too bright
+    clippedHighlightRatio: 0.1, // Share of pixels >= 250
+    crushedShadowRatio: 0.2,  // Share of pixels <= 5
+    maxColorCast: 0.25,       // Relative deviation of the strongest channel from grey
+    maxLightingImbalance: 0.3 // Relative luminance gap between opposite halves
+};
+
+/**
+ * Decodes an image buffer and computes pixel-level quality signals
+ * @param {Buffer} buffer - Complete image file contents
+ * @returns {Promise<Object>} - Signals object with sharpness, exposure, colorCast and lighting
+ */
+async function analyzeImagePixels(buffer) {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const pixelCount = width * height;
+    const luminance = new Float32Array(pixelCount);
+
+    let sumR = 0;
+    let sumG = 0;
+    let sumB = 0;
+    let sumLuma = 0;
+    let clipped = 0;
+    let crushed = 0;
+    const halves = { left: 0, right: 0, top: 0, bottom: 0 };
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const r = data[i * channels];
+            const g = data[i * channels + 1];
+            const b = data[i * channels + 2];
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+
+            luminance[i] = luma;
+            sumR += r;
+            sumG += g;
+            sumB += b;
+            sumLuma += luma;
+            if (luma >= 250) clipped++;
+            if (luma <= 5) crushed++;
+
+            halves[x < width / 2 ? 'left' : 'right'] += luma;
+            halves[y < height / 2 ? 'top' : 'bottom'] += luma;
+        }
+    }
+
+    const meanLuminance = sumLuma / pixelCount;
+
+    return {
+        analyzedWidth: width,
+        analyzedHeight: height,
+        sharpness: round(laplacianVariance(luminance, width, height)),
+        exposure: {
+            meanLuminance: round(meanLuminance),
+            clippedHighlightRatio: round(clipped / pixelCount, 3),
+            crushedShadowRatio: round(crushed / pixelCount, 3)
+        },
+        colorCast: measureColorCast(sumR / pixelCount, sumG / pixelCount, sumB / pixelCount),
+        lighting: measureLightingBalance(halves, pixelCount, meanLuminance)
+    };
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over a luminance plane
+ * @param {Float32Array} luminance - Row-major luminance values
+ * @param {number} width - Plane width
+ * @param {number} height - Plane height
+ * @returns {number} - Laplacian variance (higher is sharper)
+ */
+function laplacianVariance(luminance, width, height) {
+    if (width < 3 || height < 3) return 0;
+
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = luminance[i - 1] + luminance[i + 1]
+                + luminance[i - width] + luminance[i + width]
+                - 4 * luminance[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+}
+
+/**
+ * Grey-world colour cast estimate from mean channel values
+ * @param {number} meanR - Mean red value
+ * @param {number} meanG - Mean green value
+ * @param {number} meanB - Mean blue value
+ * @returns {Object} - Cast strength (0 = neutral) and dominant channel
+ */
+function measureColorCast(meanR, meanG, meanB) {
+    const grey = (meanR + meanG + meanB) / 3;
+    if (grey === 0) {
+        return { strength: 0, dominantChannel: null };
+    }
+
+    const deviations = {
+        red: (meanR - grey) / grey,
+        green: (meanG - grey) / grey,
+        blue: (meanB - grey) / grey
+    };
+    const dominantChannel = Object.keys(deviations)
+        .reduce((best, channel) => Math.abs(deviations[channel]) > Math.abs(deviations[best]) ? channel : best);
+
+    return {
+        strength: round(Math.abs(deviations[dominantChannel]), 3),
+        dominantChannel
+    };
+}
+
+/**
+ * Compares mean luminance of opposite halves to detect one-sided lighting
+ * @param {Object} halves - Summed luminance for left, right, top and bottom halves
+ * @param {number} pixelCount - Total pixels analysed
+ * @param {number} meanLuminance - Mean luminance of the whole image
+ * @returns {Object} - Horizontal, vertical and overall imbalance ratios
+ */
+function measureLightingBalance(halves, pixelCount, meanLuminance) {
+    const half = pixelCount / 2;
+    const reference = Math.max(meanLuminance, 1);
+    const horizontal = Math.abs(halves.left - halves.right) / half / reference;
+    const vertical = Math.abs(halves.top - halves.bottom) / half / reference;
+
+    return {
+        horizontalImbalance: round(horizontal, 3),
+        verticalImbalance: round(vertical, 3),
+        imbalance: round(Math.max(horizontal, vertical), 3)
+    };
+}
+
+/**
+ * Rounds a number to a fixed number of decimals
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places (default 1)
+ * @returns {number} - Rounded value
+ */
+function round(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    analyzeImagePixels,
+    QUALITY_THRESHOLDS
+};
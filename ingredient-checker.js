@@ -0,0 +1,128 @@
+// backend/ingredient-checker.js
+const rules = require('./data/ingredient-rules.json');
+
+/*
+ * Post-generation safety pass over a recommendation result. Rules live in
+ * data/ingredient-rules.json:
+ *   - interactions: ingredient groups that clash in the same routine
+ *     (flagged, or rewritten by moving one product to another time of day;
+ *     a rewrite that cannot move the product is flagged with its flagMessage)
+ *   - profileCautions: groups to flag or remove for sensitive skin, age or
+ *     pregnancy
+ * Warnings are attached to the affected recommendation as `warnings`.
+ */
+
+// Which ingredient groups a recommendation contains (model ingredients plus full catalog list)
+function detectGroups(recommendation, catalogById) {
+  const product = catalogById.get(recommendation.productId);
+  const names = [
+    ...(recommendation.ingredients || []),
+    ...(product ? product.ingredients : [])
+  ].map(name => name.toLowerCase());
+
+  return Object.keys(rules.groups).filter(group =>
+    rules.groups[group].some(ingredient => names.some(name => name.includes(ingredient)))
+  );
+}
+
+// Morning/Night overlap, with Both counting as either
+function sharesRoutine(a, b) {
+  return a === b || a === 'Both' || b === 'Both';
+}
+
+// Attach a rule warning once per recommendation
+function addWarning(recommendation, rule, action, relatedProductId) {
+  recommendation.warnings = recommendation.warnings || [];
+  if (recommendation.warnings.some(warning => warning.code === rule.id)) return;
+
+  recommendation.warnings.push({
+    code: rule.id,
+    severity: rule.severity,
+    action,
+    // A rewrite rule's message says the product was moved, which is false when it was only flagged
+    message: action === 'flagged' && rule.flagMessage ? rule.flagMessage : rule.message,
+    ...(relatedProductId ? { relatedProductId } : {})
+  });
+}
+
+// Does a profile match a caution's `when` clause
+function matchesProfile(when, profile) {
+  const concerns = Array.isArray(profile.concerns) ? profile.concerns : [];
+  const age = typeof profile.age === 'number' ? profile.age : null;
+
+  if (when.sensitive && profile.skinType !== 'sensitive' && !concerns.includes('sensitivity')) return false;
+  if (when.maxAge !== undefined && (age === null || age > when.maxAge)) return false;
+  if (when.minAge !== undefined && (age === null || age < when.minAge)) return false;
+  if (when.pregnancy && profile.pregnancyOrBreastfeeding !== true) return false;
+  return true;
+}
+
+// Apply profile cautions; returns the recommendations that survive removal rules
+function applyProfileCautions(entries, profile, excluded) {
+  const cautions = rules.profileCautions.filter(caution => matchesProfile(caution.when, profile));
+
+  return entries.filter(entry => {
+    for (const caution of cautions) {
+      if (!caution.groups.some(group => entry.groups.includes(group))) continue;
+
+      if (caution.action === 'remove') {
+        addWarning(entry.recommendation, caution, 'removed');
+        excluded.push(entry.recommendation);
+        return false;
+      }
+      addWarning(entry.recommendation, caution, 'flagged');
+    }
+    return true;
+  });
+}
+
+// Flag or rewrite clashing pairs that share a routine
+function applyInteractions(entries) {
+  for (const rule of rules.interactions) {
+    const [first, second] = rule.groups;
+
+    entries.filter(a => a.groups.includes(first)).forEach(a => {
+      entries.filter(b => b !== a && b.groups.includes(second)).forEach(b => {
+        if (!sharesRoutine(a.recommendation.routine, b.recommendation.routine)) return;
+
+        if (rule.action === 'rewrite') {
+          const moved = a.groups.includes(rule.moveGroup) ? a : b;
+          const other = moved === a ? b : a;
+          const canMove = !moved.groups.some(group => rules.nightOnlyGroups.includes(group))
+            && !sharesRoutine(rule.moveTo, other.recommendation.routine);
+
+          if (canMove) {
+            moved.recommendation.routine = rule.moveTo;
+            addWarning(moved.recommendation, rule, 'rewritten', other.recommendation.productId);
+            return;
+          }
+        }
+
+        addWarning(a.recommendation, rule, 'flagged', b.recommendation.productId);
+        addWarning(b.recommendation, rule, 'flagged', a.recommendation.productId);
+      });
+    });
+  }
+}
+
+// Run all rules over a validated result; returns a new result with warnings attached
+function checkRoutineSafety(result, profile = {}, catalog = []) {
+  const catalogById = new Map(catalog.map(product => [product.productId, product]));
+  const excluded = [];
+
+  const entries = result.recommendations.map(recommendation => {
+    const copy = { ...recommendation };
+    return { recommendation: copy, groups: detectGroups(copy, catalogById) };
+  });
+
+  const kept = applyProfileCautions(entries, profile, excluded);
+  applyInteractions(kept);
+
+  return {
+    ...result,
+    recommendations: kept.map(entry => entry.recommendation),
+    excludedRecommendations: excluded
+  };
+}
+
+module.exports = { checkRoutineSafety, detectGroups };
@@ -0,0 +1,32 @@
+// backend/job-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { getRecommendationJob } = require('./recommendation-jobs');
+
+const router = express.Router();
+
+// Jobs are only visible to the user who created them
+router.use(requireAuth);
+
+// Job Status (stage, partial results, result or error)
+router.get('/:id', async (req, res) => {
+  try {
+    const found = await getRecommendationJob(req.user.uid, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({ error: "JOB_NOT_FOUND" });
+    }
+    if (found.expired) {
+      return res.status(410).json({ error: "JOB_EXPIRED" });
+    }
+
+    const { input, userId, ...job } = found.job;
+    res.json({ success: true, job });
+
+  } catch (error) {
+    console.error('[JOB STATUS ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
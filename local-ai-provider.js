@@ -0,0 +1,31 @@
+// backend/local-ai-provider.js
+const { buildFallbackRecommendations } = require('./fallback-recommender');
+
+/*
+ * Deterministic, offline AI provider. It never looks at the prompt or photos;
+ * it returns the rule-based routine for the profile and approved catalog as
+ * model output, so the same inputs always produce the same response and the
+ * full validation path still runs. Used for development and automated tests
+ * (AI_PROVIDER=local).
+ */
+
+const LOCAL_MODEL = 'local-deterministic-v1';
+
+// Provider with the same interface as the OpenAI adapters
+function createLocalProvider() {
+  return {
+    name: 'local',
+    model: LOCAL_MODEL,
+    async generate({ profile, catalog, locale, onToken }) {
+      const text = JSON.stringify(buildFallbackRecommendations(profile, catalog, { locale }));
+      if (onToken) onToken(text);
+      return {
+        text,
+        model: LOCAL_MODEL,
+        usage: null
+      };
+    }
+  };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,121 @@
+// backend/localization.js
+
+/*
+ * Message catalogs and locale negotiation. Catalogs live in data/locales, one
+ * file per locale, with sections keyed by stable codes:
+ *   errors         top-level API error codes (the `error` field of a response)
+ *   validation     Joi message templates by error type ({{#label}}, {{#limit}})
+ *   questionnaire  per-question answer errors
+ *   photos         per-photo URL errors
+ *   photoQuality   photo quality notes (quality issues and processing notes)
+ *   warnings       ingredient safety warnings by rule ID (rewrite rules: by
+ *                  rule ID and action, "rewritten" or "flagged")
+ *   fallback       rule-based routine reasoning, with skin type and concern
+ *                  names for its placeholders
+ * Any key missing from a catalog falls back to English. The locale comes from
+ * the profile's `locale` field when set, otherwise from Accept-Language.
+ */
+
+const CATALOGS = {
+  en: require('./data/locales/en.json'),
+  es: require('./data/locales/es.json'),
+  fr: require('./data/locales/fr.json')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Joi `messages` preference: every locale's templates on top of the English overrides
+const VALIDATION_MESSAGES = Object.fromEntries(SUPPORTED_LOCALES.map(locale => [
+  locale,
+  { ...CATALOGS[DEFAULT_LOCALE].validation, ...CATALOGS[locale].validation }
+]));
+
+// Supported locale for a language tag ("es-MX" -> "es"), or null
+function matchLocale(tag) {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().toLowerCase();
+  if (SUPPORTED_LOCALES.includes(normalized)) return normalized;
+  const primary = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+}
+
+// Accept-Language tags, highest quality first (q=0 and "*" dropped)
+function parseAcceptLanguage(header) {
+  if (typeof header !== 'string') return [];
+
+  return header.split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, quality: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter(entry => entry.tag && entry.tag !== '*' && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(entry => entry.tag);
+}
+
+// The profile's preferred locale wins, then Accept-Language, then English
+function negotiateLocale(acceptLanguage, preferredLocale) {
+  const candidates = [preferredLocale, ...parseAcceptLanguage(acceptLanguage)];
+  for (const candidate of candidates) {
+    const locale = matchLocale(candidate);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Message for a dotted key ("errors.PROFILE_NOT_FOUND") with {name} placeholders filled, or null
+function translate(locale, key, params = {}) {
+  const template = lookup(CATALOGS[locale] || {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (typeof template !== 'string') return null;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Language name used when asking the model to answer in the user's language
+function languageName(locale) {
+  return (CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE]).language;
+}
+
+// Joi preferences for validating in a locale
+function validationPreferences(locale) {
+  return {
+    messages: VALIDATION_MESSAGES,
+    errors: { language: SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE }
+  };
+}
+
+// Adds a localized `message` to an error body, keyed by its `code` (or `error`) field
+function localizeErrorBody(body, locale) {
+  if (!body || typeof body !== 'object' || typeof body.error !== 'string') return body;
+  const message = translate(locale, `errors.${body.code || body.error}`);
+  return message === null ? body : { ...body, message };
+}
+
+// Middleware: negotiate req.locale from Accept-Language and localize error responses.
+// requireAuth negotiates req.locale again with the profile locale (the `locale` claim).
+function localizeResponses(req, res, next) {
+  req.locale = negotiateLocale(req.get('Accept-Language'));
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.set('Content-Language', req.locale);
+    return json(localizeErrorBody(body, req.locale));
+  };
+  next();
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  negotiateLocale,
+  translate,
+  languageName,
+  validationPreferences,
+  localizeErrorBody,
+  localizeResponses
+};
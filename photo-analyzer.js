@@ -14,32 +14,56 @@
  * Dependencies:
  * - Firebase Admin SDK (Storage)
  * - Node.js validator library
- * - EXIF parser for metadata extraction
- * - Axios for HTTP requests
+ * - EXIF module (photo-exif.js) for orientation/capture metadata and privacy stripping
+ * - Axios for HTTP requests (through photo-url-guard.js SSRF checks)
+ * - Image header parser (image-header-parser.js) for real dimensions
+ * - Image quality module (image-quality.js) for pixel-level signals
  * 
  * Integration Points:
  * - Receives photo URLs from profile-processor.js
  * - Outputs formatted photo data to recommendation-engine.js
- * - Interfaces with Firebase Storage for URL validation
+ * - Receives signed Storage URLs for uploaded photos (photo-storage.js)
  */
 
-const { getStorage } = require('firebase-admin/storage');
 const validator = require('validator');
-const axios = require('axios');
+const { checkPhotoUrl, safePhotoRequest } = require('./photo-url-guard');
+const { parseImageHeader, describeOrientation } = require('./image-header-parser');
+const { extractExifMetadata, applyExifOrientation, sanitizePhotoBuffer } = require('./photo-exif');
+const { analyzeImagePixels, QUALITY_THRESHOLDS } = require('./image-quality');
+const { DEFAULT_LOCALE, translate } = require('./localization');
+
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+
+const FORMAT_MIME_TYPES = { JPEG: 'image/jpeg', PNG: 'image/png', WebP: 'image/webp' };
+
+// Errors raised by photo-url-guard.js, passed through to callers unchanged
+const GUARD_ERROR_CODES = ['URL_NOT_ALLOWED', 'BLOCKED_ADDRESS', 'TOO_MANY_REDIRECTS'];
 
 /**
  * Validates photo URLs for accessibility, format, and Firebase Storage compliance
  * @param {Array} photoUrls - Array of photo URL strings to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.locale] - Locale for the messages (see localization.js)
  * @returns {Object} - Validation result with success status and error details
  */
-function validatePhotoUrls(photoUrls) {
+function validatePhotoUrls(photoUrls, { locale } = {}) {
+    // Per-photo error with its message from the locale's catalog
+    const photoError = (index, error) => ({
+        index,
+        error,
+        message: translate(locale, 'photos.PHOTO_ERROR', {
+            number: index + 1,
+            message: translate(locale, `photos.${error}`)
+        })
+    });
+
     try {
         // Validate input parameters
         if (!Array.isArray(photoUrls)) {
             return {
                 success: false,
                 error: 'INVALID_INPUT',
-                message: 'Photo URLs must be provided as an array'
+                message: translate(locale, 'errors.INVALID_INPUT')
             };
         }
 
@@ -47,7 +71,7 @@ function validatePhotoUrls(photoUrls) {
             return {
                 success: false,
                 error: 'EMPTY_ARRAY',
-                message: 'At least one photo URL must be provided'
+                message: translate(locale, 'errors.EMPTY_ARRAY')
             };
         }
 
@@ -55,7 +79,7 @@ function validatePhotoUrls(photoUrls) {
             return {
                 success: false,
                 error: 'TOO_MANY_PHOTOS',
-                message: 'Maximum of 5 photos allowed per analysis'
+                message: translate(locale, 'errors.TOO_MANY_PHOTOS')
             };
         }
 
@@ -67,20 +91,23 @@ function validatePhotoUrls(photoUrls) {
             try {
                 // Check if URL is a valid string
                 if (typeof url !== 'string' || url.trim().length === 0) {
-                    errors.push({
-                        index,
-                        error: 'INVALID_URL_FORMAT',
-                        message: `Photo ${index + 1}: URL must be a non-empty string`
-                    });
+                    errors.push(photoError(index, 'INVALID_URL_FORMAT'));
                     return;
                 }
 
                 const trimmedUrl = url.trim();
 
-                // Validate URL format using validator library
+                // Only fetch from allowlisted hosts (SSRF protection)
+                const hostCheck = checkPhotoUrl(trimmedUrl);
+                if (!hostCheck.allowed) {
+                    errors.push(photoError(index, hostCheck.error));
+                    return;
+                }
+
+                // Validate URL format using validator library (the trusted emulator host has no TLD)
                 const urlOptions = {
                     protocols: ['http', 'https'],
-                    require_tld: true,
+                    require_tld: !hostCheck.trusted,
                     require_protocol: true,
                     require_host: true,
                     allow_underscores: false,
@@ -89,11 +116,7 @@ function validatePhotoUrls(photoUrls) {
                 };
 
                 if (!validator.isURL(trimmedUrl, urlOptions)) {
-                    errors.push({
-                        index,
-                        error: 'MALFORMED_URL',
-                        message: `Photo ${index + 1}: URL format is invalid`
-                    });
+                    errors.push(photoError(index, 'MALFORMED_URL'));
                     return;
                 }
 
@@ -105,11 +128,7 @@ function validatePhotoUrls(photoUrls) {
                 );
 
                 if (!hasValidExtension) {
-                    errors.push({
-                        index,
-                        error: 'UNSUPPORTED_FORMAT',
-                        message: `Photo ${index + 1}: Must be JPG, JPEG, PNG, or WebP format`
-                    });
+                    errors.push(photoError(index, 'UNSUPPORTED_FORMAT'));
                     return;
                 }
 
@@ -121,11 +140,7 @@ function validatePhotoUrls(photoUrls) {
                 });
 
             } catch (validationError) {
-                errors.push({
-                    index,
-                    error: 'VALIDATION_ERROR',
-                    message: `Photo ${index + 1}: ${validationError.message}`
-                });
+                errors.push(photoError(index, 'VALIDATION_ERROR'));
             }
         });
 
@@ -136,14 +151,14 @@ function validatePhotoUrls(photoUrls) {
                 error: 'VALIDATION_FAILED',
                 validatedUrls,
                 errors,
-                message: `${errors.length} of ${photoUrls.length} photos failed validation`
+                message: translate(locale, 'photos.VALIDATION_FAILED', { failed: errors.length, total: photoUrls.length })
             };
         }
 
         return {
             success: true,
             validatedUrls,
-            message: `All ${photoUrls.length} photos validated successfully`
+            message: translate(locale, 'photos.VALIDATED', { total: photoUrls.length })
         };
 
     } catch (error) {
@@ -191,6 +206,7 @@ async function formatPhotosForAI(validatedPhotos) {
                 
                 if (!metadataResult.success) {
                     processingErrors.push({
+                        index: photo.index,
                         url: photo.originalUrl,
                         error: metadataResult.error,
                         message: metadataResult.message
@@ -208,13 +224,19 @@ async function formatPhotosForAI(validatedPhotos) {
                     dimensions: metadataResult.metadata.dimensions,
                     fileSize: metadataResult.metadata.fileSize,
                     contentType: metadataResult.metadata.contentType,
+                    captureTime: metadataResult.metadata.exif ? metadataResult.metadata.exif.captureTime : null,
+                    // Metadata-free copy for the AI provider; the original URL may still carry EXIF
+                    dataUrl: metadataResult.sanitizedImage
+                        ? `data:${FORMAT_MIME_TYPES[metadataResult.metadata.format]};base64,${metadataResult.sanitizedImage.toString('base64')}`
+                        : null,
                     aiCompatible: metadataResult.metadata.quality.suitable,
+                    retakeRecommended: metadataResult.metadata.quality.retakeRecommended,
                     processingNotes: []
                 };
 
                 // Add processing recommendations based on quality assessment
                 if (metadataResult.metadata.quality.score < 50) {
-                    formattedPhoto.processingNotes.push('Low quality image - analysis may be limited');
+                    formattedPhoto.processingNotes.push(qualityNote('LOW_QUALITY'));
                 }
 
                 if (metadataResult.metadata.quality.issues.length > 0) {
@@ -225,6 +247,7 @@ async function formatPhotosForAI(validatedPhotos) {
 
             } catch (processingError) {
                 processingErrors.push({
+                    index: photo.index,
                     url: photo.originalUrl,
                     error: 'PROCESSING_ERROR',
                     message: processingError.message
@@ -238,6 +261,7 @@ async function formatPhotosForAI(validatedPhotos) {
             processedPhotos: formattedPhotos.length,
             failedPhotos: processingErrors.length,
             aiCompatiblePhotos: formattedPhotos.filter(p => p.aiCompatible).length,
+            retakeRecommended: formattedPhotos.filter(p => p.retakeRecommended).length,
             averageQuality: formattedPhotos.length > 0 
                 ? Math.round(formattedPhotos.reduce((sum, p) => sum + p.quality.score, 0) / formattedPhotos.length)
                 : 0,
@@ -269,29 +293,85 @@ async function extractPhotoMetadata(photoUrl) {
         // First verify photo accessibility
         const accessibilityCheck = await verifyPhotoAccessibility(photoUrl);
         if (!accessibilityCheck.accessible) {
+            // A host that resolves to a private address is only caught here; keep its code
+            if (GUARD_ERROR_CODES.includes(accessibilityCheck.error)) {
+                return {
+                    success: false,
+                    error: accessibilityCheck.error,
+                    message: accessibilityCheck.message,
+                    url: photoUrl
+                };
+            }
             throw new Error(`Photo not accessible: ${accessibilityCheck.message}`);
         }
 
+        // One download serves the header, EXIF and pixel analysis
+        const download = await downloadPhoto(photoUrl);
+        if (!download.success) {
+            return {
+                success: false,
+                error: download.error,
+                message: download.message,
+                url: photoUrl
+            };
+        }
+
+        // Read the real format and dimensions from the file header
+        const header = parseImageHeader(download.buffer);
+        if (!header.success) {
+            return {
+                success: false,
+                error: header.error,
+                message: header.message,
+                url: photoUrl
+            };
+        }
+
+        // The URL extension is only a claim; the magic bytes are authoritative
+        const claimedFormat = detectImageFormat(photoUrl);
+        if (claimedFormat !== 'UNKNOWN' && claimedFormat !== header.format) {
+            return {
+                success: false,
+                error: 'FORMAT_MISMATCH',
+                message: `URL claims ${claimedFormat} but file content is ${header.format}`,
+                url: photoUrl
+            };
+        }
+
+        // Only orientation, capture time and camera model are read from EXIF
+        const exif = await extractExifMetadata(download.buffer);
+        let dimensions = header.dimensions;
+        if (exif) {
+            const upright = applyExifOrientation(header.dimensions, exif.orientation);
+            dimensions = {
+                ...upright,
+                ...describeOrientation(upright.width, upright.height)
+            };
+        }
+
         const metadata = {
             url: photoUrl,
             contentType: accessibilityCheck.contentType,
             fileSize: accessibilityCheck.contentLength,
             lastModified: accessibilityCheck.lastModified,
-            format: detectImageFormat(photoUrl),
+            format: header.format,
             timestamp: new Date().toISOString(),
-            dimensions: null,
+            dimensions,
+            orientation: dimensions.orientation,
+            bitDepth: header.bitDepth,
+            channels: header.channels,
+            exif,
+            pixelStats: null,
             quality: null
         };
 
-        // Try to extract basic image information
+        // Strip GPS/device metadata, then decode locally for sharpness, exposure, colour and lighting signals
+        let sanitizedImage = null;
         try {
-            // For basic metadata without EXIF dependency
-            if (accessibilityCheck.contentLength && accessibilityCheck.contentType) {
-                // Estimate dimensions based on file size and format
-                metadata.dimensions = estimateDimensions(accessibilityCheck.contentLength, metadata.format);
-            }
-        } catch (metadataError) {
-            metadata.metadataError = 'Basic metadata extraction failed';
+            sanitizedImage = await sanitizePhotoBuffer(download.buffer, header.format);
+            metadata.pixelStats = await analyzeImagePixels(sanitizedImage);
+        } catch (decodeError) {
+            metadata.metadataError = `Pixel analysis failed: ${decodeError.message}`;
         }
 
         // Add quality assessment metrics
@@ -299,7 +379,8 @@ async function extractPhotoMetadata(photoUrl) {
 
         return {
             success: true,
-            metadata
+            metadata,
+            sanitizedImage
         };
 
     } catch (error) {
@@ -313,57 +394,45 @@ async function extractPhotoMetadata(photoUrl) {
 }
 
 /**
- * Estimates image dimensions based on file size and format
- * @param {number} fileSize - File size in bytes
- * @param {string} format - Image format
- * @returns {Object} - Estimated dimensions
+ * Creates a quality note with its English text; callers localize it by code
+ * @param {string} code - Note code (a key of the photoQuality catalog section)
+ * @returns {Object} - Note with code and message
  */
-function estimateDimensions(fileSize, format) {
-    // Basic estimation algorithm based on typical compression ratios
-    let compressionRatio = 10; // Default for JPEG
-    
-    switch (format) {
-        case 'PNG':
-            compressionRatio = 6;
-            break;
-        case 'WebP':
-            compressionRatio = 12;
-            break;
-        case 'JPEG':
-            compressionRatio = 10;
-            break;
-    }
-    
-    // Estimate total pixels
-    const estimatedPixels = fileSize * compressionRatio / 3; // Assuming 3 bytes per pixel
-    const estimatedSide = Math.sqrt(estimatedPixels);
-    
-    return {
-        width: Math.round(estimatedSide),
-        height: Math.round(estimatedSide),
-        aspectRatio: "1.00",
-        estimated: true
-    };
+function qualityNote(code) {
+    return { code, message: translate(DEFAULT_LOCALE, `photoQuality.${code}`) };
+}
+
+/**
+ * Translates quality notes (quality.issues or processingNotes) into a locale
+ * @param {Array} notes - Notes with code and message; sessions stored before codes existed hold plain strings
+ * @param {string} [locale] - Locale for the messages (see localization.js)
+ * @returns {Array} - Notes with localized messages (plain strings are returned unchanged)
+ */
+function localizeQualityNotes(notes, locale) {
+    return (notes || []).map(note => (typeof note === 'string'
+        ? note
+        : { ...note, message: translate(locale, `photoQuality.${note.code}`) || note.message }));
 }
 
 /**
  * Assesses image quality for AI processing suitability
  * @param {Object} metadata - Image metadata object
- * @returns {Object} - Quality assessment results
+ * @returns {Object} - Quality assessment results (issues are { code, message } notes)
  */
 function assessImageQuality(metadata) {
     const quality = {
         score: 0,
         issues: [],
-        suitable: false
+        suitable: false,
+        retakeRecommended: false
     };
 
     // Check file size (optimal range: 100KB - 5MB)
     if (metadata.fileSize < 100000) {
-        quality.issues.push('File size may be too small for detailed analysis');
+        quality.issues.push(qualityNote('FILE_TOO_SMALL'));
         quality.score -= 10;
     } else if (metadata.fileSize > 5000000) {
-        quality.issues.push('File size is very large, may affect processing speed');
+        quality.issues.push(qualityNote('FILE_TOO_LARGE'));
         quality.score -= 5;
     } else {
         quality.score += 20;
@@ -373,7 +442,7 @@ function assessImageQuality(metadata) {
     if (metadata.dimensions) {
         const { width, height } = metadata.dimensions;
         if (width < 300 || height < 300) {
-            quality.issues.push('Image resolution may be too low for accurate analysis');
+            quality.issues.push(qualityNote('LOW_RESOLUTION'));
             quality.score -= 15;
         } else if (width >= 800 && height >= 600) {
             quality.score += 25;
@@ -388,12 +457,50 @@ function assessImageQuality(metadata) {
     } else if (metadata.format === 'WebP') {
         quality.score += 5;
     } else {
-        quality.issues.push('Image format may not be optimal for analysis');
+        quality.issues.push(qualityNote('SUBOPTIMAL_FORMAT'));
         quality.score -= 10;
     }
 
+    // Pixel-level signals; blur and bad exposure mean the user should retake the photo
+    if (metadata.pixelStats) {
+        const { sharpness, exposure, colorCast, lighting } = metadata.pixelStats;
+        const limits = QUALITY_THRESHOLDS;
+        quality.signals = metadata.pixelStats;
+
+        if (sharpness < limits.minSharpness) {
+            quality.issues.push(qualityNote('BLURRY'));
+            quality.score -= 25;
+            quality.retakeRecommended = true;
+        } else {
+            quality.score += 10;
+        }
+
+        if (exposure.meanLuminance < limits.minMeanLuminance || exposure.crushedShadowRatio > limits.crushedShadowRatio) {
+            quality.issues.push(qualityNote('UNDEREXPOSED'));
+            quality.score -= 20;
+            quality.retakeRecommended = true;
+        } else if (exposure.meanLuminance > limits.maxMeanLuminance || exposure.clippedHighlightRatio > limits.clippedHighlightRatio) {
+            quality.issues.push(qualityNote('OVEREXPOSED'));
+            quality.score -= 20;
+            quality.retakeRecommended = true;
+        }
+
+        if (colorCast.strength > limits.maxColorCast) {
+            quality.issues.push(qualityNote(`COLOR_CAST_${colorCast.dominantChannel.toUpperCase()}`));
+            quality.score -= 10;
+        }
+
+        if (lighting.imbalance > limits.maxLightingImbalance) {
+            quality.issues.push(qualityNote('UNEVEN_LIGHTING'));
+            quality.score -= 10;
+        }
+    } else {
+        quality.issues.push(qualityNote('NOT_MEASURED'));
+        quality.score -= 5;
+    }
+
     // Determine overall suitability
-    quality.suitable = quality.score >= 30 && quality.issues.length < 3;
+    quality.suitable = !quality.retakeRecommended && quality.score >= 30 && quality.issues.length < 3;
     quality.score = Math.max(0, Math.min(100, quality.score + 50)); // Normalize to 0-100
 
     return quality;
@@ -430,6 +537,10 @@ function handlePhotoErrors(error) {
         errorResponse.error = 'REQUEST_TIMEOUT';
         errorResponse.message = 'Photo processing request timed out';
         errorResponse.details = 'Photo URL may be slow to respond or unavailable';
+    } else if (GUARD_ERROR_CODES.includes(error.code)) {
+        errorResponse.error = error.code;
+        errorResponse.message = error.message;
+        errorResponse.details = 'Photos can only be fetched from approved storage hosts';
     } else if (error.response) {
         // HTTP response errors
         errorResponse.error = 'HTTP_ERROR';
@@ -471,19 +582,18 @@ function handlePhotoErrors(error) {
  */
 async function verifyPhotoAccessibility(photoUrl) {
     try {
-        // Configure axios for HEAD request with timeout
+        // Configure HEAD request with timeout; redirects are re-checked hop by hop
         const config = {
             method: 'head',
             url: photoUrl,
             timeout: 5000, // 5 second timeout
-            maxRedirects: 3,
             validateStatus: function (status) {
                 return status >= 200 && status < 300;
             }
         };
 
         // Perform HEAD request to check accessibility
-        const response = await axios(config);
+        const response = await safePhotoRequest(config);
         
         // Verify content type is an image
         const contentType = response.headers['content-type'];
@@ -498,7 +608,7 @@ async function verifyPhotoAccessibility(photoUrl) {
         }
 
         // Verify reasonable file size (between 1KB and 10MB)
-        if (contentLength < 1024 || contentLength > 10 * 1024 * 1024) {
+        if (contentLength < 1024 || contentLength > MAX_PHOTO_BYTES) {
             throw new Error(`Image file size out of range: ${contentLength} bytes`);
         }
 
@@ -512,6 +622,14 @@ async function verifyPhotoAccessibility(photoUrl) {
 
     } catch (error) {
         // Handle different types of accessibility errors
+        if (GUARD_ERROR_CODES.includes(error.code)) {
+            return {
+                accessible: false,
+                error: error.code,
+                message: error.message
+            };
+        }
+
         if (error.code === 'ECONNABORTED') {
             return {
                 accessible: false,
@@ -537,10 +655,71 @@ async function verifyPhotoAccessibility(photoUrl) {
     }
 }
 
+/**
+ * Downloads the complete photo for header parsing, EXIF and pixel analysis
+ * (the HEAD check has already bounded its size)
+ * @param {string} photoUrl - Photo URL to download
+ * @returns {Promise<Object>} - Promise resolving to { success, buffer } or an error object
+ */
+async function downloadPhoto(photoUrl) {
+    try {
+        const response = await safePhotoRequest({
+            method: 'get',
+            url: photoUrl,
+            responseType: 'arraybuffer',
+            timeout: 15000,
+            // The file may have changed since the HEAD check, so cap it at the accepted photo size
+            maxContentLength: MAX_PHOTO_BYTES,
+            validateStatus: function (status) {
+                return status === 200;
+            }
+        });
+
+        return {
+            success: true,
+            buffer: Buffer.from(response.data)
+        };
+
+    } catch (error) {
+        if (GUARD_ERROR_CODES.includes(error.code)) {
+            return {
+                success: false,
+                error: error.code,
+                message: error.message
+            };
+        }
+
+        if (error.code === 'ECONNABORTED') {
+            return {
+                success: false,
+                error: 'TIMEOUT',
+                message: 'Photo download timed out'
+            };
+        }
+
+        if (error.response) {
+            return {
+                success: false,
+                error: 'HTTP_ERROR',
+                message: `HTTP ${error.response.status}: ${error.response.statusText}`
+            };
+        }
+
+        return {
+            success: false,
+            error: 'NETWORK_ERROR',
+            message: error.message
+        };
+    }
+}
+
 module.exports = {
+    GUARD_ERROR_CODES,
     validatePhotoUrls,
     formatPhotosForAI,
     extractPhotoMetadata,
+    localizeQualityNotes,
+    downloadPhoto,
     handlePhotoErrors,
     verifyPhotoAccessibility
 };
\ No newline at end of file
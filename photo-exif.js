@@ -0,0 +1,98 @@
+/**
+ * Photo EXIF Module - Glow Wizard MVP
+ *
+ * Purpose: Read the few EXIF fields the analysis needs and strip
+ * location and device-identifying metadata from photos
+ *
+ * Privacy Rules:
+ * - Only orientation, capture time and camera make/model are ever read
+ * - GPS coordinates, serial numbers, owner names and all other tags are
+ *   never copied into our metadata
+ * - sanitizePhotoBuffer() re-encodes the image without EXIF, XMP or IPTC;
+ *   it must run before a photo is stored or sent to the AI provider
+ *
+ * Dependencies:
+ * - exifr for parsing EXIF
+ * - sharp for orientation-aware re-encoding
+ *
+ * Integration Points:
+ * - photo-analyzer.js (metadata extraction, AI formatting)
+ * - photo-storage.js (uploads are sanitised before they reach Storage)
+ */
+
+const exifr = require('exifr');
+const sharp = require('sharp');
+
+// The only tags we ever read
+const EXIF_FIELDS = ['Orientation', 'DateTimeOriginal', 'CreateDate', 'Make', 'Model'];
+
+// EXIF orientations 5-8 store the image rotated by 90 degrees
+const SWAPPED_ORIENTATIONS = [5, 6, 7, 8];
+
+const ENCODERS = {
+    JPEG: image => image.jpeg({ quality: 92 }),
+    PNG: image => image.png(),
+    WebP: image => image.webp({ quality: 92 })
+};
+
+/**
+ * Extracts orientation, capture time and camera model from EXIF
+ * @param {Buffer} buffer - Image bytes (a leading range containing APP1 is enough)
+ * @returns {Promise<Object|null>} - EXIF summary, or null if the photo has no EXIF
+ */
+async function extractExifMetadata(buffer) {
+    let tags;
+    try {
+        tags = await exifr.parse(buffer, { pick: EXIF_FIELDS, translateValues: false });
+    } catch (error) {
+        return null;
+    }
+    if (!tags) return null;
+
+    const captured = tags.DateTimeOriginal || tags.CreateDate;
+    const cameraModel = [tags.Make, tags.Model]
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim())
+        .join(' ');
+
+    return {
+        orientation: Number.isInteger(tags.Orientation) ? tags.Orientation : 1,
+        captureTime: captured instanceof Date && !isNaN(captured) ? captured.toISOString() : null,
+        cameraModel: cameraModel || null
+    };
+}
+
+/**
+ * Corrects stored dimensions for the EXIF orientation the viewer will apply
+ * @param {Object} dimensions - { width, height } as stored in the file
+ * @param {number} orientation - EXIF orientation value (1-8)
+ * @returns {Object} - { width, height } as displayed
+ */
+function applyExifOrientation(dimensions, orientation) {
+    if (!SWAPPED_ORIENTATIONS.includes(orientation)) {
+        return { width: dimensions.width, height: dimensions.height };
+    }
+    return { width: dimensions.height, height: dimensions.width };
+}
+
+/**
+ * Re-encodes a photo upright with all EXIF/XMP/IPTC metadata removed
+ * @param {Buffer} buffer - Complete original image bytes
+ * @param {string} format - Output format ('JPEG', 'PNG' or 'WebP')
+ * @returns {Promise<Buffer>} - Sanitised image bytes (colour profile kept)
+ */
+async function sanitizePhotoBuffer(buffer, format) {
+    const encode = ENCODERS[format];
+    if (!encode) {
+        throw new Error(`Cannot sanitise unsupported format: ${format}`);
+    }
+
+    // rotate() bakes the EXIF orientation into the pixels; sharp drops metadata unless asked to keep it
+    return encode(sharp(buffer).rotate().keepIccProfile()).toBuffer();
+}
+
+module.exports = {
+    extractExifMetadata,
+    applyExifOrientation,
+    sanitizePhotoBuffer
+};
@@ -0,0 +1,70 @@
+// backend/photo-routes.js
+const express = require('express');
+const multer = require('multer');
+const requireAuth = require('./auth-middleware');
+const {
+  ALLOWED_UPLOAD_TYPES,
+  MAX_UPLOAD_BYTES,
+  savePhotoUpload,
+  createPhotoUrl
+} = require('./photo-storage');
+
+const router = express.Router();
+
+// Keep uploads in memory; they are validated before anything is written to Storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype in ALLOWED_UPLOAD_TYPES) return cb(null, true);
+    const error = new Error('Must be JPG, JPEG, PNG, or WebP format');
+    error.code = 'UNSUPPORTED_FORMAT';
+    cb(error);
+  }
+});
+
+// Multipart parsing with upload errors mapped to API error codes
+function parsePhotoUpload(req, res, next) {
+  upload.single('photo')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: "FILE_TOO_LARGE" });
+    }
+    if (error.code === 'UNSUPPORTED_FORMAT') {
+      return res.status(415).json({ error: error.code, message: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: "INVALID_UPLOAD", message: error.message });
+    }
+    next(error);
+  });
+}
+
+// Upload Photo
+router.post('/', requireAuth, parsePhotoUpload, async (req, res) => {
+  try {
+    const result = await savePhotoUpload(req.user.uid, req.file);
+
+    if (!result.success) {
+      const status = result.error === 'STORAGE_ERROR' ? 500 : 400;
+      return res.status(status).json({ error: result.error, message: result.message });
+    }
+
+    const url = await createPhotoUrl(result.photo.storagePath);
+
+    res.status(201).json({
+      success: true,
+      photoId: result.photo.photoId,
+      url,
+      format: result.photo.format,
+      dimensions: result.photo.dimensions
+    });
+
+  } catch (error) {
+    console.error('[PHOTO UPLOAD ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+/**
+ * Photo Storage Module - Glow Wizard MVP
+ *
+ * Purpose: Store user-uploaded photos in Firebase Storage and resolve
+ * photo IDs back to short-lived URLs for the analysis pipeline
+ *
+ * Layout:
+ * - Storage object: users/{uid}/photos/{photoId}.{ext}
+ * - Firestore record: users/{uid}/photos/{photoId}
+ *
+ * Constraints:
+ * - Photo IDs are only ever resolved within the owning user's path
+ * - Uploads are stripped of EXIF/GPS metadata before they are stored
+ * - Works against the Storage emulator (FIREBASE_STORAGE_EMULATOR_HOST),
+ *   where signed URLs are unavailable and token URLs are used instead
+ *
+ * Integration Points:
+ * - Called by photo-routes.js for uploads
+ * - Called by server.js to turn photo IDs into URLs for photo-analyzer.js
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('firebase-admin/storage');
+const admin = require('./firebase-admin-init');
+const { parseImageHeader } = require('./image-header-parser');
+const { extractExifMetadata, sanitizePhotoBuffer } = require('./photo-exif');
+const { PHOTO_ID_PATTERN } = require('./data-validator');
+
+const ALLOWED_UPLOAD_TYPES = {
+    'image/jpeg': { format: 'JPEG', extension: 'jpg' },
+    'image/png': { format: 'PNG', extension: 'png' },
+    'image/webp': { format: 'WebP', extension: 'webp' }
+};
+const MIN_UPLOAD_BYTES = 1024;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+/**
+ * Returns the Firestore collection holding a user's photo records
+ * @param {string} uid - Owner's user ID
+ * @returns {FirebaseFirestore.CollectionReference} - Photo records collection
+ */
+function photoCollection(uid) {
+    return admin.firestore().collection('users').doc(uid).collection('photos');
+}
+
+/**
+ * Checks an uploaded file's declared type, size and real content
+ * @param {Object} file - Multer file object (buffer, mimetype, size)
+ * @returns {Object} - { valid: true, type, header } or { valid: false, error, message }
+ */
+function validatePhotoUpload(file) {
+    if (!file || !Buffer.isBuffer(file.buffer)) {
+        return { valid: false, error: 'MISSING_FILE', message: 'A photo file is required in the "photo" field' };
+    }
+
+    const type = ALLOWED_UPLOAD_TYPES[file.mimetype];
+    if (!type) {
+        return { valid: false, error: 'UNSUPPORTED_FORMAT', message: 'Must be JPG, JPEG, PNG, or WebP format' };
+    }
+
+    if (file.size < MIN_UPLOAD_BYTES || file.size > MAX_UPLOAD_BYTES) {
+        return { valid: false, error: 'INVALID_FILE_SIZE', message: `Photo must be between 1KB and 10MB (got ${file.size} bytes)` };
+    }
+
+    // Trust the bytes, not the declared Content-Type
+    const header = parseImageHeader(file.buffer);
+    if (!header.success) {
+        return { valid: false, error: header.error, message: header.message };
+    }
+    if (header.format !== type.format) {
+        return { valid: false, error: 'FORMAT_MISMATCH', message: `Declared ${type.format} but file content is ${header.format}` };
+    }
+
+    return { valid: true, type, header };
+}
+
+/**
+ * Stores a validated upload in Storage and records it in Firestore
+ * @param {string} uid - Owner's user ID
+ * @param {Object} file - Multer file object
+ * @returns {Promise<Object>} - { success, photo } or { success: false, error, message }
+ */
+async function savePhotoUpload(uid, file) {
+    const validation = validatePhotoUpload(file);
+    if (!validation.valid) {
+        return { success: false, error: validation.error, message: validation.message };
+    }
+
+    const photoId = crypto.randomUUID();
+    const storagePath = `users/${uid}/photos/${photoId}.${validation.type.extension}`;
+
+    // Keep the harmless EXIF summary, then drop GPS/device tags before anything is stored
+    const exif = await extractExifMetadata(file.buffer);
+    let sanitized;
+    try {
+        sanitized = await sanitizePhotoBuffer(file.buffer, validation.type.format);
+    } catch (error) {
+        // The header parsed but the pixel data does not decode (truncated or corrupt file)
+        return { success: false, error: 'INVALID_UPLOAD', message: 'Photo could not be decoded' };
+    }
+
+    try {
+        const header = parseImageHeader(sanitized);
+
+        // A download token is a permanent public link that bypasses Storage rules, so it is only
+        // written for the emulator (which cannot sign URLs); production relies on signed URLs alone
+        const customMetadata = { ownerUid: uid };
+        if (process.env.FIREBASE_STORAGE_EMULATOR_HOST) {
+            customMetadata.firebaseStorageDownloadTokens = crypto.randomUUID();
+        }
+
+        await getStorage().bucket().file(storagePath).save(sanitized, {
+            resumable: false,
+            contentType: file.mimetype,
+            metadata: { metadata: customMetadata }
+        });
+
+        const photo = {
+            photoId,
+            storagePath,
+            contentType: file.mimetype,
+            format: header.format,
+            fileSize: sanitized.length,
+            dimensions: header.dimensions,
+            captureTime: exif ? exif.captureTime : null,
+            cameraModel: exif ? exif.cameraModel : null,
+            uploadedAt: new Date().toISOString()
+        };
+        await photoCollection(uid).doc(photoId).set(photo);
+
+        return { success: true, photo };
+
+    } catch (error) {
+        if (process.env.NODE_ENV === 'development') {
+            console.error('Photo Storage Error:', error);
+        }
+        return { success: false, error: 'STORAGE_ERROR', message: 'Photo could not be stored' };
+    }
+}
+
+/**
+ * Creates a short-lived read URL for a stored photo
+ * @param {string} storagePath - Object path inside the default bucket
+ * @returns {Promise<string>} - Signed URL (or emulator token URL)
+ */
+async function createPhotoUrl(storagePath) {
+    const file = getStorage().bucket().file(storagePath);
+    const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+    if (emulatorHost) {
+        const [metadata] = await file.getMetadata();
+        const token = metadata.metadata && metadata.metadata.firebaseStorageDownloadTokens;
+        const host = emulatorHost.replace(/^https?:\/\//, '');
+        return `http://${host}/v0/b/${file.bucket.name}/o/${encodeURIComponent(storagePath)}?alt=media&token=${token}`;
+    }
+
+    const [url] = await file.getSignedUrl({
+        action: 'read',
+        expires: Date.now() + SIGNED_URL_TTL_MS
+    });
+    return url;
+}
+
+/**
+ * Resolves a user's photo IDs to short-lived URLs
+ * @param {string} uid - Owner's user ID
+ * @param {string[]} photoIds - Photo IDs returned by POST /photos
+ * @returns {Promise<Object>} - { success, urls } or { success: false, error, missing }
+ */
+async function resolvePhotoIds(uid, photoIds) {
+    if (!Array.isArray(photoIds) || photoIds.length === 0) {
+        return { success: true, urls: [] };
+    }
+
+    // IDs that cannot be document IDs are reported missing instead of reaching Firestore
+    const snapshots = await Promise.all(
+        photoIds.map(photoId => (PHOTO_ID_PATTERN.test(String(photoId))
+            ? photoCollection(uid).doc(String(photoId)).get()
+            : { exists: false }))
+    );
+
+    const missing = photoIds.filter((photoId, index) => !snapshots[index].exists);
+    if (missing.length > 0) {
+        return { success: false, error: 'PHOTO_NOT_FOUND', missing };
+    }
+
+    const urls = await Promise.all(
+        snapshots.map(snapshot => createPhotoUrl(snapshot.data().storagePath))
+    );
+    return { success: true, urls };
+}
+
+module.exports = {
+    ALLOWED_UPLOAD_TYPES,
+    MAX_UPLOAD_BYTES,
+    validatePhotoUpload,
+    savePhotoUpload,
+    createPhotoUrl,
+    resolvePhotoIds
+};
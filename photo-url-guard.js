@@ -0,0 +1,220 @@
+/**
+ * Photo URL Guard - Glow Wizard MVP
+ *
+ * Purpose: Keep server-side photo fetches from being pointed at internal
+ * infrastructure (SSRF protection)
+ *
+ * Rules:
+ * - Only hosts on the configured allowlist may be fetched
+ * - Hostnames are resolved and rejected if any address is private,
+ *   loopback, link-local or otherwise non-public
+ * - Redirects are followed manually so every hop is re-checked
+ *
+ * Configuration:
+ * - PHOTO_ALLOWED_HOSTS: comma-separated hosts ("*.example.com" and
+ *   "host:port" entries supported); defaults to Firebase/Cloud Storage hosts
+ * - FIREBASE_STORAGE_EMULATOR_HOST: when set, that host:port is allowed and
+ *   exempt from the private-address check so the local emulator works
+ *
+ * Integration Points:
+ * - Used by photo-analyzer.js for every outbound photo request
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_ALLOWED_HOSTS = [
+    'firebasestorage.googleapis.com',
+    'storage.googleapis.com',
+    '*.storage.googleapis.com'
+];
+
+const MAX_REDIRECTS = 3;
+
+// Non-public ranges that photo fetches must never reach
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Creates an Error carrying a guard error code
+ * @param {string} code - Error code (URL_NOT_ALLOWED, BLOCKED_ADDRESS, TOO_MANY_REDIRECTS)
+ * @param {string} message - Human-readable reason
+ * @returns {Error} - Error with code property set
+ */
+function guardError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Reads the allowlist from configuration
+ * @returns {string[]} - Lower-cased host patterns
+ */
+function getAllowedHosts() {
+    const configured = process.env.PHOTO_ALLOWED_HOSTS;
+    const hosts = configured
+        ? configured.split(',').map(host => host.trim()).filter(Boolean)
+        : DEFAULT_ALLOWED_HOSTS;
+    return hosts.map(host => host.toLowerCase());
+}
+
+/**
+ * Returns the storage emulator host:port if one is configured
+ * @returns {string|null} - Lower-cased emulator host or null
+ */
+function getEmulatorHost() {
+    const emulator = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+    return emulator ? emulator.replace(/^https?:\/\//, '').toLowerCase() : null;
+}
+
+/**
+ * Checks whether a host matches one allowlist pattern
+ * @param {URL} url - Parsed URL
+ * @param {string} pattern - Allowlist entry ("host", "host:port" or "*.domain")
+ * @returns {boolean} - True if the URL host matches
+ */
+function matchesHostPattern(url, pattern) {
+    const hostname = url.hostname.toLowerCase();
+
+    if (pattern.includes(':') && !pattern.startsWith('[')) {
+        return url.host.toLowerCase() === pattern;
+    }
+    if (pattern.startsWith('*.')) {
+        return hostname.endsWith(pattern.slice(1));
+    }
+    return hostname === pattern;
+}
+
+/**
+ * Checks whether an IP address falls in a blocked (non-public) range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address must not be contacted
+ */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+
+    // IPv4-mapped IPv6 addresses are judged by their IPv4 part
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Synchronously checks a URL's scheme and host against the allowlist
+ * @param {string} photoUrl - URL to check
+ * @returns {Object} - { allowed: true, trusted } or { allowed: false, error, message }
+ */
+function checkPhotoUrl(photoUrl) {
+    let url;
+    try {
+        url = new URL(photoUrl);
+    } catch (error) {
+        return { allowed: false, error: 'MALFORMED_URL', message: 'URL could not be parsed' };
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return { allowed: false, error: 'URL_NOT_ALLOWED', message: `Protocol ${url.protocol} is not allowed` };
+    }
+    if (url.username || url.password) {
+        return { allowed: false, error: 'URL_NOT_ALLOWED', message: 'URLs with credentials are not allowed' };
+    }
+
+    // The local storage emulator is trusted even though it lives on loopback
+    const emulatorHost = getEmulatorHost();
+    if (emulatorHost && url.host.toLowerCase() === emulatorHost) {
+        return { allowed: true, trusted: true };
+    }
+
+    if (!getAllowedHosts().some(pattern => matchesHostPattern(url, pattern))) {
+        return { allowed: false, error: 'URL_NOT_ALLOWED', message: `Host ${url.hostname} is not on the photo host allowlist` };
+    }
+
+    // IP literals skip DNS lookup entirely, so check them here
+    const literal = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && isBlockedAddress(literal)) {
+        return { allowed: false, error: 'BLOCKED_ADDRESS', message: `Address ${literal} is not publicly routable` };
+    }
+
+    return { allowed: true, trusted: false };
+}
+
+/**
+ * DNS lookup that refuses to connect to non-public addresses
+ * @param {string} hostname - Host being resolved
+ * @param {Object} options - Lookup options from the HTTP agent
+ * @param {Function} callback - Node-style lookup callback
+ */
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            return callback(guardError('BLOCKED_ADDRESS', `${hostname} resolves to non-public address ${blocked.address}`));
+        }
+
+        if (options && options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Performs an axios request with allowlist, address and per-hop redirect checks
+ * @param {Object} config - Axios request config (url, method, headers, validateStatus, ...)
+ * @returns {Promise<Object>} - Axios response of the final hop
+ * @throws {Error} - Guard errors (URL_NOT_ALLOWED, BLOCKED_ADDRESS, TOO_MANY_REDIRECTS) or axios errors
+ */
+async function safePhotoRequest(config) {
+    const acceptStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    let currentUrl = config.url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const check = checkPhotoUrl(currentUrl);
+        if (!check.allowed) {
+            throw guardError(check.error, check.message);
+        }
+
+        const response = await axios({
+            ...config,
+            url: currentUrl,
+            maxRedirects: 0,
+            lookup: check.trusted ? undefined : guardedLookup,
+            validateStatus: status => (status >= 300 && status < 400) || acceptStatus(status)
+        });
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            if (!acceptStatus(response.status)) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+            return response;
+        }
+
+        currentUrl = new URL(location, currentUrl).toString();
+    }
+
+    throw guardError('TOO_MANY_REDIRECTS', `More than ${MAX_REDIRECTS} redirects`);
+}
+
+module.exports = {
+    checkPhotoUrl,
+    isBlockedAddress,
+    safePhotoRequest
+};
@@ -0,0 +1,117 @@
+// backend/product-catalog.js
+const crypto = require('crypto');
+const Joi = require('joi');
+const admin = require('./firebase-admin-init');
+const { RECOMMENDATION_CATEGORIES } = require('./ai-response-schema');
+const { SKIN_TYPES } = require('./data-validator');
+
+/*
+ * Approved product catalog, stored in Firestore as products/{productId}.
+ * Recommendations must reference one of these entries; anything the model
+ * invents is rejected during response validation.
+ */
+
+const CATALOG_CACHE_TTL_MS = 5 * 60 * 1000;
+const MAX_PROMPT_PRODUCTS_PER_CATEGORY = 8;
+
+const catalogEntrySchema = Joi.object({
+  productId: Joi.string().pattern(/^[a-z0-9-]+$/).max(64).required(),
+  brand: Joi.string().trim().min(1).required(),
+  name: Joi.string().trim().min(1).required(),
+  category: Joi.string().valid(...RECOMMENDATION_CATEGORIES).required(),
+  ingredients: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+  skinTypes: Joi.array().items(Joi.string().valid(...SKIN_TYPES)).min(1).required(),
+  price: Joi.number().min(0).precision(2).required(),
+  currency: Joi.string().length(3).uppercase().default('USD')
+});
+
+let cache = { products: null, version: null, loadedAt: 0 };
+
+// Validate one catalog entry; returns Joi's { error, value }
+function validateCatalogEntry(entry) {
+  return catalogEntrySchema.validate(entry, { abortEarly: false });
+}
+
+// Write catalog entries to Firestore, replacing existing documents with the same ID
+async function seedCatalog(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('CATALOG_SEED_ERROR: Expected a non-empty array of products');
+  }
+
+  const validated = entries.map((entry, index) => {
+    const { error, value } = validateCatalogEntry(entry);
+    if (error) {
+      throw new Error(`CATALOG_SEED_ERROR: Entry ${index} (${entry && entry.productId}): ${error.message}`);
+    }
+    return value;
+  });
+
+  const db = admin.firestore();
+  const batch = db.batch();
+  validated.forEach(product => {
+    batch.set(db.collection('products').doc(product.productId), product);
+  });
+  await batch.commit();
+
+  cache = { products: null, version: null, loadedAt: 0 };
+  return { success: true, count: validated.length };
+}
+
+// All catalog products, cached briefly to keep Firestore reads off the hot path
+async function getCatalogProducts() {
+  if (cache.products && Date.now() - cache.loadedAt < CATALOG_CACHE_TTL_MS) {
+    return cache.products;
+  }
+
+  const snapshot = await admin.firestore().collection('products').get();
+  const products = snapshot.docs.map(doc => doc.data());
+
+  cache = { products, version: hashCatalog(products), loadedAt: Date.now() };
+  return products;
+}
+
+// SHA-256 of the catalog contents, independent of document and field order
+function hashCatalog(products) {
+  const entries = [...products]
+    .sort((a, b) => a.productId.localeCompare(b.productId))
+    .map(product => JSON.stringify(product, Object.keys(product).sort()));
+  return crypto.createHash('sha256').update(entries.join('\n')).digest('hex');
+}
+
+// Version of the catalog the prompt is built from; changes whenever any product does
+async function getCatalogVersion() {
+  await getCatalogProducts();
+  return cache.version;
+}
+
+// Catalog entries suitable for a profile, capped per category for the prompt
+async function selectCatalogForProfile(profile) {
+  const products = await getCatalogProducts();
+  if (products.length === 0) {
+    throw new Error('CATALOG_UNAVAILABLE: The product catalog is empty; run npm run seed:catalog');
+  }
+
+  const matching = products
+    .filter(product => !profile.skinType || product.skinTypes.includes(profile.skinType))
+    .sort((a, b) => a.productId.localeCompare(b.productId));
+
+  return RECOMMENDATION_CATEGORIES.flatMap(category =>
+    matching.filter(product => product.category === category).slice(0, MAX_PROMPT_PRODUCTS_PER_CATEGORY)
+  );
+}
+
+// One line per product for the prompt
+function formatCatalogForPrompt(products) {
+  return products
+    .map(product => `[${product.productId}] ${product.brand} ${product.name} (${product.category}, ${product.currency} ${product.price}) - Ingredients: ${product.ingredients.join(", ")}`)
+    .join("\n  ");
+}
+
+module.exports = {
+  validateCatalogEntry,
+  seedCatalog,
+  getCatalogProducts,
+  getCatalogVersion,
+  selectCatalogForProfile,
+  formatCatalogForPrompt
+};
@@ -13,6 +13,7 @@
  *   - Consumes data from authentication middleware (auth-middleware.js).
  *   - Outputs processed profile data for recommendation engine.
  *   - Reads/writes user profiles to Firestore.
+ *   - Validates questionnaire answers against versioned definitions (questionnaire-definitions.js).
  *
  * Constraints:
  *   - Must follow context anchor and session protocols.
@@ -21,124 +22,115 @@
  */
 
 const admin = require('./firebase-admin-init');
+const {
+    getQuestionnaire,
+    getCurrentQuestionnaire,
+    isQuestionApplicable,
+    validateAnswer
+} = require('./questionnaire-definitions');
+const { validateProfile } = require('./data-validator');
+const { translate } = require('./localization');
 
 /**
- * Validate the structure and content of the user's profile data.
+ * Validate the structure and content of the user's profile data against the
+ * shared profile schema in data-validator.js.
  *
  * @param {Object} profileData - The profile data object submitted by the user.
- * @returns {Object|true} Returns true if valid, or an error object with details if invalid.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.partial=false] - Only validate the fields present in profileData (for PATCH updates).
+ * @param {string} [options.locale] - Locale for the error messages (see localization.js).
+ * @returns {Object|true} Returns true if valid, or { valid: false, errors: [{ path, code, message }] } if invalid.
  */
-function validateProfileData(profileData) {
-    const requiredFields = [
-        { key: 'name', type: 'string', minLength: 1 },
-        { key: 'age', type: 'number', min: 13, max: 120 },
-        { key: 'skinType', type: 'string', allowed: ['dry', 'oily', 'combination', 'normal', 'sensitive'] },
-        { key: 'concerns', type: 'object', isArray: true, allowed: ['acne', 'wrinkles', 'redness', 'dryness', 'dark spots', 'sensitivity'] },
-        { key: 'location', type: 'string', minLength: 2 }
-    ];
+function validateProfileData(profileData, { partial = false, locale } = {}) {
+    const result = validateProfile(profileData, { partial, locale });
+    return result.valid ? true : { valid: false, errors: result.errors };
+}
 
-    let errors = [];
+/**
+ * Validate and normalise questionnaire answers against a versioned
+ * questionnaire definition (see questionnaire-definitions.js).
+ *
+ * Answers to unknown questions, to questions whose condition is not met, and
+ * missing required answers are all reported per question, with a stable
+ * code and a message in the requested locale.
+ *
+ * @param {Object} answers - The questionnaire answers from the user, keyed by question ID.
+ * @param {Object} [options] - Processing options.
+ * @param {number} [options.version] - Questionnaire version the answers were given for; defaults to the current one.
+ * @param {string} [options.locale] - Locale for the error messages (see localization.js).
+ * @returns {Object} { version, answers } on success, or { error, version, errors: [{ questionId, code, message }] }.
+ */
+function processQuestionnaireAnswers(answers, { version, locale } = {}) {
+    const answerError = (questionId, code, params) => ({
+        questionId,
+        code,
+        message: translate(locale, `questionnaire.${code}`, params)
+    });
 
-    if (!profileData || typeof profileData !== 'object') {
-        return { valid: false, errors: ['Profile data must be an object.'] };
+    const questionnaire = version === undefined || version === null
+        ? getCurrentQuestionnaire()
+        : getQuestionnaire(version);
+
+    if (!questionnaire) {
+        return { error: 'UNKNOWN_QUESTIONNAIRE_VERSION', version, errors: [] };
+    }
+    if (answers === undefined || answers === null) {
+        answers = {};
+    }
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+        return { error: 'INVALID_ANSWERS', version: questionnaire.version, errors: [answerError(null, 'ANSWERS_NOT_OBJECT')] };
     }
 
-    for (const field of requiredFields) {
-        const value = profileData[field.key];
+    const processed = {};
+    const errors = [];
 
-        if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
-            errors.push(`Missing required field: ${field.key}`);
-            continue;
-        }
+    // Questions are processed in order so conditions see earlier (normalised) answers
+    for (const question of questionnaire.questions) {
+        const provided = question.id in answers && answers[question.id] !== null && answers[question.id] !== '';
 
-        if (field.type === 'string' && typeof value !== 'string') {
-            errors.push(`Field ${field.key} must be a string.`);
-        }
-        if (field.type === 'number') {
-            if (typeof value !== 'number' || isNaN(value)) {
-                errors.push(`Field ${field.key} must be a number.`);
-            } else {
-                if (field.min !== undefined && value < field.min) {
-                    errors.push(`Field ${field.key} must be at least ${field.min}.`);
-                }
-                if (field.max !== undefined && value > field.max) {
-                    errors.push(`Field ${field.key} must be at most ${field.max}.`);
-                }
+        if (!isQuestionApplicable(question, processed)) {
+            if (provided) {
+                errors.push(answerError(question.id, 'NOT_APPLICABLE', { question: question.when.question }));
             }
+            continue;
         }
-        if (field.type === 'object' && field.isArray) {
-            if (!Array.isArray(value)) {
-                errors.push(`Field ${field.key} must be an array.`);
-            } else if (field.allowed) {
-                const invalid = value.filter(v => !field.allowed.includes(v));
-                if (invalid.length > 0) {
-                    errors.push(`Field ${field.key} contains invalid values: ${invalid.join(', ')}.`);
-                }
+
+        if (!provided) {
+            if (question.required) {
+                errors.push(answerError(question.id, 'ANSWER_REQUIRED'));
             }
+            continue;
         }
-        if (field.allowed && field.type === 'string' && !field.allowed.includes(value)) {
-            errors.push(`Field ${field.key} must be one of: ${field.allowed.join(', ')}.`);
-        }
-        if (field.minLength && typeof value === 'string' && value.length < field.minLength) {
-            errors.push(`Field ${field.key} must be at least ${field.minLength} characters.`);
-        }
-    }
 
-    if (errors.length > 0) {
-        return { valid: false, errors };
+        const result = validateAnswer(question, answers[question.id]);
+        if (result.error) {
+            errors.push(answerError(question.id, result.error, result.params));
+        } else {
+            processed[question.id] = result.value;
+        }
     }
-    return true;
-}
 
-/**
- * Process and transform questionnaire answers from frontend format
- * to backend-ready structure for storage and AI processing.
- *
- * @param {Object} answers - The questionnaire answers from the user.
- * @returns {Object} Transformed answers object, ready for storage or AI input.
- */
-function processQuestionnaireAnswers(answers) {
-    if (!answers || typeof answers !== 'object') {
-        return { error: 'Answers must be an object.' };
+    for (const key of Object.keys(answers)) {
+        if (!questionnaire.questions.some(question => question.id === key)) {
+            errors.push(answerError(key, 'UNKNOWN_QUESTION', { version: questionnaire.version }));
+        }
     }
 
-    // Example transformation: flatten nested answers, normalize keys, convert scales to numbers
-    let processed = {};
-
-    // Example expected keys: hydration, sunExposure, sleepHours, stressLevel
-    if ('hydration' in answers) {
-        processed.hydration = parseInt(answers.hydration, 10);
-        if (isNaN(processed.hydration)) processed.hydration = null;
-    }
-    if ('sunExposure' in answers) {
-        processed.sunExposure = answers.sunExposure.toString().toLowerCase();
-    }
-    if ('sleepHours' in answers) {
-        processed.sleepHours = parseFloat(answers.sleepHours);
-        if (isNaN(processed.sleepHours)) processed.sleepHours = null;
-    }
-    if ('stressLevel' in answers) {
-        processed.stressLevel = parseInt(answers.stressLevel, 10);
-        if (isNaN(processed.stressLevel)) processed.stressLevel = null;
+    if (errors.length > 0) {
+        return { error: 'INVALID_ANSWERS', version: questionnaire.version, errors };
     }
-    // Add more mappings as needed for your questionnaire
 
-    // Remove any keys with null/undefined values
-    Object.keys(processed).forEach(key => {
-        if (processed[key] === null || processed[key] === undefined) {
-            delete processed[key];
-        }
-    });
-
-    return processed;
+    return { version: questionnaire.version, answers: processed };
 }
 /**
  * Save a validated user profile to Firestore.
  *
  * @param {Object} profileData - The validated profile data to store.
+ * @param {Object} [options] - Write options.
+ * @param {boolean} [options.merge=true] - Merge into the existing document; pass false to replace it.
  * @returns {Promise<Object>} Resolves to Firestore write result or error object.
  */
-async function saveProfileToFirestore(profileData) {
+async function saveProfileToFirestore(profileData, { merge = true } = {}) {
     if (!profileData || typeof profileData !== 'object') {
         return { error: 'Invalid profile data.' };
     }
@@ -148,7 +140,7 @@ async function saveProfileToFirestore(profileData) {
     try {
         const db = admin.firestore();
         const profileRef = db.collection('profiles').doc(profileData.userId);
-        await profileRef.set(profileData, { merge: true });
+        await profileRef.set(profileData, { merge });
         return { success: true };
     } catch (error) {
         return handleProfileError(error);
@@ -178,6 +170,30 @@ async function getProfileFromFirestore(userId) {
     }
 }
 
+/**
+ * Delete a user profile from Firestore by userId.
+ *
+ * @param {string} userId - The unique identifier for the user.
+ * @returns {Promise<Object>} Resolves to { success, existed } or error object.
+ */
+async function deleteProfileFromFirestore(userId) {
+    if (!userId || typeof userId !== 'string') {
+        return { error: 'Invalid userId.' };
+    }
+    try {
+        const db = admin.firestore();
+        const profileRef = db.collection('profiles').doc(userId);
+        const doc = await profileRef.get();
+        if (!doc.exists) {
+            return { success: true, existed: false };
+        }
+        await profileRef.delete();
+        return { success: true, existed: true };
+    } catch (error) {
+        return handleProfileError(error);
+    }
+}
+
 /**
  * Centralized error handler for profile processing operations.
  *
@@ -201,5 +217,6 @@ module.exports = {
     processQuestionnaireAnswers,
     saveProfileToFirestore,
     getProfileFromFirestore,
+    deleteProfileFromFirestore,
     handleProfileError
 };
@@ -0,0 +1,114 @@
+// backend/profile-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { validateProfile, validateBody } = require('./data-validator');
+const {
+  saveProfileToFirestore,
+  getProfileFromFirestore,
+  deleteProfileFromFirestore
+} = require('./profile-processor');
+const { invalidateRecommendationCache } = require('./recommendation-cache');
+const { setUserLocaleClaim } = require('./user-roles');
+const { negotiateLocale } = require('./localization');
+
+const router = express.Router();
+
+// Every profile route acts on the caller's own document
+router.use(requireAuth);
+
+// Cached recommendations were built from the old profile
+async function dropCachedRecommendations(uid) {
+  try {
+    await invalidateRecommendationCache(uid);
+  } catch (error) {
+    console.error('[CACHE INVALIDATION ERROR]', error);
+  }
+}
+
+// Keep the `locale` claim in step with the profile and answer in the new locale
+async function syncLocale(req, locale) {
+  req.locale = negotiateLocale(req.get('Accept-Language'), locale);
+  try {
+    await setUserLocaleClaim(req.user.uid, locale);
+  } catch (error) {
+    console.error('[LOCALE CLAIM ERROR]', error);
+  }
+}
+
+// Read Profile
+router.get('/me', async (req, res) => {
+  const profile = await getProfileFromFirestore(req.user.uid);
+
+  if (profile === null) {
+    return res.status(404).json({ error: "PROFILE_NOT_FOUND" });
+  }
+  if (profile.error) {
+    return res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+
+  res.json({ success: true, profile });
+});
+
+// Create or Replace Profile
+router.put('/me', validateBody(validateProfile, "INVALID_PROFILE"), async (req, res) => {
+  const profile = {
+    ...req.body,
+    userId: req.user.uid,
+    updatedAt: new Date().toISOString()
+  };
+  const result = await saveProfileToFirestore(profile, { merge: false });
+
+  if (result.error) {
+    return res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+  await dropCachedRecommendations(req.user.uid);
+  await syncLocale(req, profile.locale || null);
+
+  res.json({ success: true, profile });
+});
+
+// Partial Update
+router.patch('/me', validateBody((body, options) => validateProfile(body, { ...options, partial: true }), "INVALID_PROFILE"), async (req, res) => {
+  const existing = await getProfileFromFirestore(req.user.uid);
+  if (existing === null) {
+    return res.status(404).json({ error: "PROFILE_NOT_FOUND" });
+  }
+  if (existing.error) {
+    return res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+
+  const changes = {
+    ...req.body,
+    userId: req.user.uid,
+    updatedAt: new Date().toISOString()
+  };
+  const result = await saveProfileToFirestore(changes);
+
+  if (result.error) {
+    return res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+  await dropCachedRecommendations(req.user.uid);
+  if ('locale' in changes) {
+    await syncLocale(req, changes.locale);
+  }
+
+  res.json({ success: true, profile: { ...existing, ...changes } });
+});
+
+// Delete Profile
+router.delete('/me', async (req, res) => {
+  const result = await deleteProfileFromFirestore(req.user.uid);
+
+  if (result.error) {
+    return res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+  if (!result.existed) {
+    return res.status(404).json({ error: "PROFILE_NOT_FOUND" });
+  }
+  await dropCachedRecommendations(req.user.uid);
+  await syncLocale(req, null);
+
+  res.status(204).end();
+});
+
+module.exports = router;
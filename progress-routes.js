@@ -0,0 +1,22 @@
+// backend/progress-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { getProgress } = require('./progress-tracker');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Progress Timeline (comparable sessions oldest first, per-concern trends, ?limit=)
+router.get('/', async (req, res) => {
+  try {
+    const progress = await getProgress(req.user.uid, { limit: req.query.limit });
+    res.json({ success: true, ...progress });
+
+  } catch (error) {
+    console.error('[PROGRESS ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+// backend/progress-tracker.js
+const admin = require('./firebase-admin-init');
+const { SEVERITY_LEVELS } = require('./ai-response-schema');
+
+/*
+ * Skin progress over time. Every recommendation run that analysed photos is
+ * stored as an analysis session at users/{uid}/analysisSessions/{sessionId}
+ * with per-photo quality (from assessImageQuality) and the model's findings.
+ * The progress view lines sessions up oldest first and, per concern, tracks
+ * the mean finding severity (none 0 ... severe 3) across sessions.
+ *
+ * Sessions are left out of the comparison when their photos are too poor to
+ * compare (average quality below PROGRESS_MIN_QUALITY or no AI-compatible
+ * photo) or when they carry no findings (rule-based fallback runs).
+ */
+
+// 0 keeps every session with an AI-compatible photo, whatever its quality
+const MIN_COMPARABLE_QUALITY = process.env.PROGRESS_MIN_QUALITY !== undefined
+  ? parseInt(process.env.PROGRESS_MIN_QUALITY, 10) || 0
+  : 60;
+const DEFAULT_SESSION_LIMIT = 20;
+const MAX_SESSION_LIMIT = 100;
+
+// Mean severity change (0-3 scale) below which a concern counts as stable
+const STABLE_CHANGE = 0.5;
+
+function sessionCollection(uid) {
+  return admin.firestore().collection('users').doc(uid).collection('analysisSessions');
+}
+
+// Why a session cannot be compared, or null when it can
+function exclusionReason(session) {
+  if (session.aiCompatiblePhotos === 0) return 'NO_USABLE_PHOTOS';
+  if (session.averageQuality < MIN_COMPARABLE_QUALITY) return 'LOW_PHOTO_QUALITY';
+  if (session.findings.length === 0) return 'NO_FINDINGS';
+  return null;
+}
+
+// Store the photo session behind one recommendation run
+async function saveAnalysisSession(uid, { runId, photoAnalysis, result }) {
+  const ref = sessionCollection(uid).doc();
+  const photos = (photoAnalysis.photos || []).map(photo => ({
+    format: photo.format,
+    dimensions: photo.dimensions,
+    captureTime: photo.captureTime || null,
+    qualityScore: photo.quality.score,
+    qualityIssues: photo.quality.issues,
+    processingNotes: photo.processingNotes || [],
+    aiCompatible: photo.aiCompatible,
+    retakeRecommended: photo.retakeRecommended
+  }));
+
+  const session = {
+    sessionId: ref.id,
+    runId: runId || null,
+    createdAt: new Date().toISOString(),
+    photos,
+    averageQuality: photos.length > 0
+      ? Math.round(photos.reduce((sum, photo) => sum + photo.qualityScore, 0) / photos.length)
+      : 0,
+    aiCompatiblePhotos: photos.filter(photo => photo.aiCompatible).length,
+    source: result.source,
+    findings: result.findings || []
+  };
+  session.comparable = exclusionReason(session) === null;
+
+  await ref.set(session);
+  return session;
+}
+
+// Session recorded for a recommendation run, or null (no photos, or a cached run; see its cachedFromRunId)
+async function getSessionForRun(uid, runId) {
+  const snapshot = await sessionCollection(uid).where('runId', '==', runId).limit(1).get();
+  return snapshot.empty ? null : snapshot.docs[0].data();
+}
+
+// Mean severity per concern in one session, e.g. { acne: 1.5 }
+function concernSeverities(findings) {
+  const byConcern = {};
+  for (const finding of findings) {
+    if (!finding.relatedConcern) continue;
+    (byConcern[finding.relatedConcern] = byConcern[finding.relatedConcern] || [])
+      .push(SEVERITY_LEVELS.indexOf(finding.severity));
+  }
+  return Object.fromEntries(Object.entries(byConcern).map(([concern, levels]) => [
+    concern,
+    Math.round((levels.reduce((sum, level) => sum + level, 0) / levels.length) * 100) / 100
+  ]));
+}
+
+// Trend metrics per concern across comparable sessions (oldest first)
+function computeConcernTrends(sessions) {
+  const points = {};
+  for (const session of sessions) {
+    for (const [concern, severity] of Object.entries(concernSeverities(session.findings))) {
+      (points[concern] = points[concern] || []).push({
+        sessionId: session.sessionId,
+        createdAt: session.createdAt,
+        severity
+      });
+    }
+  }
+
+  return Object.fromEntries(Object.entries(points).map(([concern, series]) => {
+    const first = series[0];
+    const latest = series[series.length - 1];
+    const change = Math.round((latest.severity - first.severity) * 100) / 100;
+
+    let trend = 'insufficient_data';
+    if (series.length >= 2) {
+      trend = Math.abs(change) < STABLE_CHANGE ? 'stable' : change < 0 ? 'improving' : 'worsening';
+    }
+
+    return [concern, {
+      trend,
+      sessions: series.length,
+      firstSeverity: first.severity,
+      latestSeverity: latest.severity,
+      change,
+      bestSeverity: Math.min(...series.map(point => point.severity)),
+      series
+    }];
+  }));
+}
+
+// Timeline of the most recent sessions with per-concern trends
+async function getProgress(uid, { limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SESSION_LIMIT, 2), MAX_SESSION_LIMIT);
+  const snapshot = await sessionCollection(uid).orderBy('createdAt', 'desc').limit(pageSize).get();
+  const sessions = snapshot.docs.map(doc => doc.data()).reverse();
+
+  const included = [];
+  const excluded = [];
+  for (const session of sessions) {
+    const reason = exclusionReason(session);
+    if (reason) {
+      excluded.push({ sessionId: session.sessionId, createdAt: session.createdAt, reason });
+    } else {
+      included.push(session);
+    }
+  }
+
+  return {
+    minQuality: MIN_COMPARABLE_QUALITY,
+    sessions: included.map(session => ({
+      sessionId: session.sessionId,
+      runId: session.runId,
+      createdAt: session.createdAt,
+      averageQuality: session.averageQuality,
+      photoCount: session.photos.length,
+      severities: concernSeverities(session.findings)
+    })),
+    excludedSessions: excluded,
+    concerns: computeConcernTrends(included)
+  };
+}
+
+module.exports = {
+  saveAnalysisSession,
+  getSessionForRun,
+  getProgress,
+  computeConcernTrends
+};
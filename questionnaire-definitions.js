@@ -0,0 +1,157 @@
+// backend/questionnaire-definitions.js
+const Joi = require('joi');
+
+/*
+ * Versioned questionnaire definitions, stored as JSON in data/questionnaires.
+ * Each question declares:
+ *   id          answer key
+ *   type        integer | number | choice | multiChoice | boolean
+ *   min/max     range for integer and number questions
+ *   options     allowed values for choice and multiChoice questions
+ *   normalize   steps applied before validation (see NORMALIZERS)
+ *   when        condition on an earlier answer: { question, equals } or { question, in }
+ * The current version is the highest one unless QUESTIONNAIRE_VERSION pins
+ * another. Definitions are checked when this module loads, so a malformed
+ * file fails at startup instead of on a user's request.
+ */
+
+const DEFINITIONS = [
+  require('./data/questionnaires/v1.json')
+];
+
+const QUESTION_TYPES = ['integer', 'number', 'choice', 'multiChoice', 'boolean'];
+
+// Normalisation steps a question can declare, applied in order
+const NORMALIZERS = {
+  trim: value => (typeof value === 'string' ? value.trim() : value),
+  lowercase: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  roundToHalf: value => (typeof value === 'number' ? Math.round(value * 2) / 2 : value)
+};
+
+const questionSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-zA-Z][a-zA-Z0-9]*$/).required(),
+  type: Joi.string().valid(...QUESTION_TYPES).required(),
+  prompt: Joi.string().required(),
+  required: Joi.boolean().default(false),
+  min: Joi.number().when('type', { is: Joi.valid('integer', 'number'), otherwise: Joi.forbidden() }),
+  max: Joi.number().when('type', { is: Joi.valid('integer', 'number'), otherwise: Joi.forbidden() }),
+  options: Joi.array().items(Joi.string()).min(1).unique()
+    .when('type', { is: Joi.valid('choice', 'multiChoice'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  normalize: Joi.array().items(Joi.string().valid(...Object.keys(NORMALIZERS))).default([]),
+  when: Joi.object({
+    question: Joi.string().required(),
+    equals: Joi.any(),
+    in: Joi.array().min(1)
+  }).xor('equals', 'in')
+});
+
+const definitionSchema = Joi.object({
+  id: Joi.string().required(),
+  version: Joi.number().integer().min(1).required(),
+  title: Joi.string().required(),
+  questions: Joi.array().items(questionSchema).min(1).unique('id').required()
+});
+
+// Validate a definition; conditions may only refer to earlier questions
+function loadDefinition(definition) {
+  const { error, value } = definitionSchema.validate(definition, { abortEarly: false });
+  if (error) {
+    throw new Error(`QUESTIONNAIRE_DEFINITION_ERROR: version ${definition.version}: ${error.message}`);
+  }
+
+  value.questions.forEach((question, index) => {
+    if (question.when && !value.questions.slice(0, index).some(earlier => earlier.id === question.when.question)) {
+      throw new Error(`QUESTIONNAIRE_DEFINITION_ERROR: version ${value.version}: "${question.id}" depends on "${question.when.question}", which is not an earlier question`);
+    }
+  });
+
+  return Object.freeze(value);
+}
+
+const QUESTIONNAIRES = new Map(DEFINITIONS.map(loadDefinition).map(definition => [definition.version, definition]));
+
+const CURRENT_VERSION = parseInt(process.env.QUESTIONNAIRE_VERSION, 10) || Math.max(...QUESTIONNAIRES.keys());
+if (!QUESTIONNAIRES.has(CURRENT_VERSION)) {
+  throw new Error(`QUESTIONNAIRE_DEFINITION_ERROR: QUESTIONNAIRE_VERSION ${CURRENT_VERSION} is not defined`);
+}
+
+// Definition for a version, or null when unknown
+function getQuestionnaire(version) {
+  return QUESTIONNAIRES.get(Number(version)) || null;
+}
+
+function getCurrentQuestionnaire() {
+  return QUESTIONNAIRES.get(CURRENT_VERSION);
+}
+
+// Does the question apply, given the answers accepted so far
+function isQuestionApplicable(question, answers) {
+  if (!question.when) return true;
+  const answer = answers[question.when.question];
+  if (answer === undefined) return false;
+  return question.when.in ? question.when.in.includes(answer) : answer === question.when.equals;
+}
+
+// Normalise and check one answer; returns { value } or { error, params } with a
+// catalog code from the questionnaire section of data/locales
+function validateAnswer(question, raw) {
+  const normalize = value => question.normalize.reduce((result, step) => NORMALIZERS[step](result), value);
+
+  switch (question.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      const value = normalize(number);
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: 'NOT_A_NUMBER' };
+      }
+      if (question.type === 'integer' && !Number.isInteger(value)) {
+        return { error: 'NOT_AN_INTEGER' };
+      }
+      if (question.min !== undefined && value < question.min) {
+        return { error: 'BELOW_MIN', params: { min: question.min } };
+      }
+      if (question.max !== undefined && value > question.max) {
+        return { error: 'ABOVE_MAX', params: { max: question.max } };
+      }
+      return { value };
+    }
+
+    case 'choice': {
+      const value = normalize(raw);
+      if (!question.options.includes(value)) {
+        return { error: 'NOT_AN_OPTION', params: { options: question.options.join(', ') } };
+      }
+      return { value };
+    }
+
+    case 'multiChoice': {
+      if (!Array.isArray(raw)) {
+        return { error: 'NOT_A_LIST' };
+      }
+      const value = raw.map(normalize);
+      const invalid = value.filter(item => !question.options.includes(item));
+      if (invalid.length > 0) {
+        return { error: 'INVALID_OPTIONS', params: { invalid: invalid.join(', '), options: question.options.join(', ') } };
+      }
+      return { value: [...new Set(value)] };
+    }
+
+    case 'boolean': {
+      const value = raw === 'true' ? true : raw === 'false' ? false : raw;
+      if (typeof value !== 'boolean') {
+        return { error: 'NOT_A_BOOLEAN' };
+      }
+      return { value };
+    }
+  }
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  NORMALIZERS,
+  getQuestionnaire,
+  getCurrentQuestionnaire,
+  isQuestionApplicable,
+  validateAnswer
+};
@@ -0,0 +1,25 @@
+// backend/questionnaire-routes.js
+const express = require('express');
+const { getQuestionnaire, getCurrentQuestionnaire } = require('./questionnaire-definitions');
+
+const router = express.Router();
+
+// Definitions hold no user data, so clients can fetch them before sign-in
+
+// Current Questionnaire
+router.get('/current', (req, res) => {
+  res.json({ success: true, questionnaire: getCurrentQuestionnaire() });
+});
+
+// Specific Version (for clients finishing an older questionnaire)
+router.get('/:version', (req, res) => {
+  const questionnaire = getQuestionnaire(req.params.version);
+
+  if (!questionnaire) {
+    return res.status(404).json({ error: "QUESTIONNAIRE_NOT_FOUND" });
+  }
+
+  res.json({ success: true, questionnaire });
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+// backend/recommendation-cache.js
+const crypto = require('crypto');
+const admin = require('./firebase-admin-init');
+
+/*
+ * Content-addressed cache in front of generateRecommendations. The key is a
+ * SHA-256 of the normalised inputs that shape the output: profile fields the
+ * prompt uses, processed answers, photo ETags (stable across re-signed URLs),
+ * product catalog version, model, prompt version and response locale. Entries live at
+ * users/{uid}/recommendationCache/{key} for RECOMMENDATION_CACHE_TTL_MS
+ * (default 24h; 0 disables the cache) and are dropped whenever the user's
+ * profile changes. Only AI results are cached; fallbacks are retried. Each
+ * entry keeps the runId that produced it, so runs served from the cache can
+ * point back at the run (and photo analysis session) they reuse.
+ */
+
+const CACHE_TTL_MS = process.env.RECOMMENDATION_CACHE_TTL_MS !== undefined
+  ? parseInt(process.env.RECOMMENDATION_CACHE_TTL_MS, 10) || 0
+  : 24 * 60 * 60 * 1000;
+
+function cacheCollection(uid) {
+  return admin.firestore().collection('users').doc(uid).collection('recommendationCache');
+}
+
+// JSON with object keys sorted, so equal inputs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Only the profile fields the prompt and safety checks read; concerns are order-free
+function normalizeProfile(profile = {}) {
+  return {
+    skinType: profile.skinType || null,
+    concerns: [...new Set(profile.concerns || [])].sort(),
+    age: profile.age ?? null,
+    pregnancyOrBreastfeeding: profile.pregnancyOrBreastfeeding === true
+  };
+}
+
+// Cache key for one set of inputs; null when a photo has no ETag (cannot be addressed)
+function buildCacheKey({ profile, processedAnswers, photoEtags = [], catalogVersion, model, promptVersion, locale }) {
+  if (photoEtags.some(etag => !etag)) return null;
+
+  const inputs = {
+    profile: normalizeProfile(profile),
+    answers: processedAnswers || {},
+    photos: photoEtags,
+    catalog: catalogVersion || null,
+    model: model || null,
+    promptVersion: promptVersion || null,
+    locale: locale || null
+  };
+  return crypto.createHash('sha256').update(stableStringify(inputs)).digest('hex');
+}
+
+function isCacheEnabled() {
+  return CACHE_TTL_MS > 0;
+}
+
+// { result, runId } cached under a key, or null when missing or expired
+async function getCachedRecommendations(uid, key) {
+  if (!isCacheEnabled() || !key) return null;
+
+  const doc = await cacheCollection(uid).doc(key).get();
+  if (!doc.exists) return null;
+
+  const entry = doc.data();
+  if (Date.now() > Date.parse(entry.expiresAt)) return null;
+  return { result: entry.result, runId: entry.runId || null };
+}
+
+// Store an AI result under its key, with the run it was saved as
+async function cacheRecommendations(uid, key, result, { runId } = {}) {
+  if (!isCacheEnabled() || !key || result.source !== 'ai') return;
+
+  const now = Date.now();
+  await cacheCollection(uid).doc(key).set({
+    key,
+    result,
+    runId: runId || null,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + CACHE_TTL_MS).toISOString()
+  });
+}
+
+// Drop every cached result for a user (profile changed)
+async function invalidateRecommendationCache(uid) {
+  await admin.firestore().recursiveDelete(cacheCollection(uid));
+}
+
+module.exports = {
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedRecommendations,
+  cacheRecommendations,
+  invalidateRecommendationCache
+};
@@ -1,105 +1,262 @@
 // backend/recommendation-engine.js
 require('dotenv').config();
-const { OpenAI } = require('openai');
+const { getAIProvider } = require('./ai-providers');
+const {
+  RECOMMENDATION_CATEGORIES,
+  ROUTINE_TIMES,
+  FINDING_REGIONS,
+  SEVERITY_LEVELS,
+  AIResponseValidationError,
+  validateAIResponse
+} = require('./ai-response-schema');
+const { selectCatalogForProfile, formatCatalogForPrompt } = require('./product-catalog');
+const { checkRoutineSafety } = require('./ingredient-checker');
+const { buildFallbackRecommendations } = require('./fallback-recommender');
+const { createRecommendationStreamParser } = require('./recommendation-stream-parser');
+const { DEFAULT_LOCALE, translate, languageName } = require('./localization');
 
-// Initialize OpenAI with your API key
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 15000 // 15 second timeout
-});
+// Bump whenever buildChainOfThoughtPrompt changes in a way that affects output
+const PROMPT_VERSION = 'cot-v2';
 
-// Main recommendation function
-async function generateRecommendations(userProfile, photoAnalysis) {
+// Follow-up requests allowed when the model's output fails schema validation (0 disables repair)
+const MAX_REPAIR_ATTEMPTS = process.env.AI_MAX_REPAIR_ATTEMPTS !== undefined
+  ? parseInt(process.env.AI_MAX_REPAIR_ATTEMPTS, 10) || 0
+  : 2;
+
+// Main recommendation function; any AI failure falls back to the rule-based routine.
+// onRecommendation(item, { index, attempt }) streams provisional items as the model writes them.
+// Free text comes back in `locale`, including the fallback routine's reasoning.
+async function generateRecommendations(userProfile, photoAnalysis, { onRecommendation, locale = DEFAULT_LOCALE } = {}) {
+  let catalog = [];
+
+  try {
+    // Products the model may choose from (throws CATALOG_UNAVAILABLE if none are seeded)
+    catalog = await selectCatalogForProfile(userProfile);
+    const result = await generateAIRecommendations(userProfile, photoAnalysis, catalog, onRecommendation, locale);
+
+    // Flag or rewrite ingredient clashes and profile contraindications
+    const { model, usage, ...output } = result;
+    return { ...localizeWarnings(checkRoutineSafety(output, userProfile, catalog), locale), source: "ai", model, promptVersion: PROMPT_VERSION, usage };
+
+  } catch (error) {
+    console.error('[AI FALLBACK]', error.message);
+    const result = buildFallbackRecommendations(userProfile, catalog, { locale });
+    return {
+      ...localizeWarnings(checkRoutineSafety(result, userProfile, catalog), locale),
+      source: "fallback",
+      model: null,
+      promptVersion: null,
+      // Tokens spent on failed attempts still count against the user's budget
+      usage: error.usage || null,
+      fallbackReason: error instanceof AIResponseValidationError ? error.code : error.message.split(':')[0]
+    };
+  }
+}
+
+// AI path: prompt the configured provider and return schema-valid output
+async function generateAIRecommendations(userProfile, photoAnalysis, catalog, onRecommendation, locale) {
   try {
+    const photos = selectPhotosForVision(photoAnalysis);
+
     // Build the AI prompt
-    const prompt = buildChainOfThoughtPrompt(userProfile, photoAnalysis);
+    const prompt = buildChainOfThoughtPrompt(userProfile, photoAnalysis, photos.length, catalog, locale);
     
-    // Get AI response
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [{
-        role: "system", 
-        content: "You are a dermatology expert providing personalized skincare recommendations."
-      }, {
-        role: "user",
-        content: prompt
-      }],
+    // Get AI response from the configured provider; photos travel as image parts next to the text prompt
+    const request = {
+      systemPrompt: "You are a dermatology expert providing personalized skincare recommendations. Reply with a single JSON object and no other text.",
+      userContent: [
+        { type: "text", text: prompt },
+        ...photos.map(photo => ({
+          type: "image_url",
+          image_url: { url: photo.dataUrl, detail: "high" }
+        }))
+      ],
+      profile: userProfile,
+      photoAnalysis,
+      catalog,
+      locale,
       temperature: 0.3,
-      max_tokens: 1500
-    });
+      maxTokens: 2000
+    };
 
-    // Process the AI response
-    return parseAIResponse(response.choices[0].message.content);
+    // Validate the AI response, sending specific violations back for repair
+    return await requestValidatedResponse(request, onRecommendation);
     
   } catch (error) {
+    if (error instanceof AIResponseValidationError) throw error;
     handleAIError(error);
   }
 }
 
+// Ask the provider for output until it passes the schema or repair attempts run out
+async function requestValidatedResponse(request, onRecommendation) {
+  const provider = getAIProvider();
+  const history = [];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let validation;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    // Items from a repair attempt are streamed again with the new attempt number
+    const parser = onRecommendation
+      ? createRecommendationStreamParser((item, index) => onRecommendation(item, { index, attempt }))
+      : null;
+    let response;
+    try {
+      response = await provider.generate({ ...request, history, onToken: parser ? parser.push : undefined });
+    } catch (error) {
+      // A repair request failed outright; the earlier attempts' tokens were still spent
+      if (attempt > 0) error.usage = usage;
+      throw error;
+    }
+    addUsage(usage, response.usage);
+    validation = validateAIResponse(response.text, { catalog: request.catalog });
+
+    if (validation.valid) {
+      return { ...validation.value, model: response.model || provider.model, usage };
+    }
+
+    history.push(
+      { role: "assistant", content: response.text },
+      { role: "user", content: buildRepairPrompt(validation.violations) }
+    );
+  }
+
+  const error = new AIResponseValidationError(validation.violations, MAX_REPAIR_ATTEMPTS + 1);
+  error.usage = usage;
+  throw error;
+}
+
+// Sum provider-reported token usage (OpenAI field names) across attempts
+function addUsage(total, usage) {
+  if (!usage) return;
+  total.promptTokens += usage.prompt_tokens || 0;
+  total.completionTokens += usage.completion_tokens || 0;
+  total.totalTokens += usage.total_tokens || 0;
+}
+
+// Follow-up message listing exactly what was wrong with the previous output
+function buildRepairPrompt(violations) {
+  return `Your previous reply did not match the required output format:
+  - ${violations.join("\n  - ")}
+
+  Reply again with only the corrected JSON object, no explanations or other text.`;
+}
+
+// Safety warning messages in the user's language; rules without a translation keep their English text
+function localizeWarnings(result, locale) {
+  const localize = recommendation => (recommendation.warnings
+    ? {
+      ...recommendation,
+      warnings: recommendation.warnings.map(warning => ({
+        ...warning,
+        // Rewrite rules have one text per action (warnings.<ID>.rewritten / .flagged)
+        message: translate(locale, `warnings.${warning.code}.${warning.action}`)
+          || translate(locale, `warnings.${warning.code}`)
+          || warning.message
+      }))
+    }
+    : recommendation);
+
+  return {
+    ...result,
+    recommendations: result.recommendations.map(localize),
+    excludedRecommendations: result.excludedRecommendations.map(localize)
+  };
+}
+
+// Only AI-compatible photos with a sanitized copy are sent; the original URL may still carry EXIF
+function selectPhotosForVision(photoAnalysis) {
+  if (!photoAnalysis || !Array.isArray(photoAnalysis.photos)) return [];
+  return photoAnalysis.photos.filter(photo => photo.aiCompatible && photo.dataUrl);
+}
+
+// Text summary of the photo batch (quality notes, not pixels)
+function describePhotos(photoAnalysis, attachedCount) {
+  if (attachedCount === 0) {
+    return "No photos suitable for analysis were provided. Leave \"findings\" empty.";
+  }
+
+  const notes = selectPhotosForVision(photoAnalysis)
+    .map((photo, index) => `Photo ${index + 1}: ${photo.processingNotes.length ? photo.processingNotes.map(note => note.message).join("; ") : "good quality"}`);
+
+  // Usable photos whose metadata could not be stripped are left out of the request
+  const notAttached = photoAnalysis.photos.filter(photo => photo.aiCompatible && !photo.dataUrl).length;
+  if (notAttached > 0) {
+    notes.push(`${notAttached} more photo(s) not attached (could not be processed); base findings only on the attached photos`);
+  }
+
+  return `${attachedCount} photo(s) attached. Examine each facial region visible in the photos.\n  ${notes.join("\n  ")}`;
+}
+
+// Output language instruction; enum values and product data must stay as specified
+function describeLanguage(locale) {
+  if (!locale || locale === DEFAULT_LOCALE) return "";
+  return `
+  **Language**
+  Write every "observation" and "reasoning" in ${languageName(locale)}. Keep JSON keys, the allowed values of region, severity, relatedConcern, category and routine, product IDs, product names and ingredient names exactly as given.
+  `;
+}
+
 // Helper function to build the prompt
-function buildChainOfThoughtPrompt(profile, photos) {
+function buildChainOfThoughtPrompt(profile, photoAnalysis, attachedCount = 0, catalog = [], locale = DEFAULT_LOCALE) {
   return `
   **User Profile Analysis**
   Skin Type: ${profile.skinType}
-  Primary Concerns: ${profile.concerns.join(", ")}
-  Sensitivity Level: ${profile.sensitivityLevel}
-  Age Group: ${profile.ageGroup}
+  Primary Concerns: ${(profile.concerns || []).join(", ")}
+  Sensitivity Level: ${profile.sensitivityLevel || "not specified"}
+  Age: ${profile.age || profile.ageGroup || "not specified"}
+  Pregnant or Breastfeeding: ${profile.pregnancyOrBreastfeeding ? "yes" : "not reported"}
   
   **Photo Analysis**
-  ${photos.summary || "No significant findings detected"}
+  ${describePhotos(photoAnalysis, attachedCount)}
   
-  **Recommendation Steps**
-  1. Analyze skin type and concerns
-  2. Identify key ingredients to recommend
-  3. Suggest specific products from our approved list
-  4. Create morning/night routine
+  **Approved Products** (recommend only these, by ID)
+  ${formatCatalogForPrompt(catalog)}
   
+  **Recommendation Steps**
+  1. Examine the photos region by region (${FINDING_REGIONS.join(", ")}) and rate severity
+  2. Analyze skin type and concerns together with the photo findings
+  3. Identify key ingredients to recommend
+  4. Suggest specific products from the approved products above, citing their ID
+  5. Create morning/night routine
+  ${describeLanguage(locale)}
   **Required Output Format**
   {
+    "findings": [
+      {
+        "region": "${FINDING_REGIONS.join("|")}",
+        "observation": "What is visible in this region",
+        "severity": "${SEVERITY_LEVELS.join("|")}",
+        "relatedConcern": "acne|wrinkles|redness|dryness|dark spots|sensitivity"
+      }
+    ],
     "recommendations": [
       {
-        "category": "Cleanser|Moisturizer|Treatment",
-        "product": "Brand Name Product",
+        "productId": "ID from the approved products",
+        "category": "${RECOMMENDATION_CATEGORIES.join("|")}",
+        "product": "Brand and name of that product",
         "ingredients": ["Hyaluronic Acid", "Niacinamide"],
-        "routine": "Morning|Night|Both",
+        "routine": "${ROUTINE_TIMES.join("|")}",
         "reasoning": "Explanation for this recommendation"
       }
     ]
   }`;
 }
 
-// Response parsing function
-function parseAIResponse(responseText) {
-  try {
-    // Extract JSON from response
-    const jsonStart = responseText.indexOf('{');
-    const jsonEnd = responseText.lastIndexOf('}') + 1;
-    const cleanJson = responseText.slice(jsonStart, jsonEnd);
-    
-    const result = JSON.parse(cleanJson);
-    
-    // Validate response structure
-    if (!result.recommendations || !Array.isArray(result.recommendations)) {
-      throw new Error('Invalid response format from AI');
-    }
-    
-    return result;
-    
-  } catch (error) {
-    throw new Error(`RESPONSE_PARSE_ERROR: ${error.message}`);
-  }
-}
-
 // Error handling function
 function handleAIError(error) {
+  let message = `API_ERROR: ${error.message}`;
   if (error.status === 429) {
-    throw new Error('API_RATE_LIMIT: Please wait before making new requests');
-  }
-  if (error.code === 'ETIMEDOUT') {
-    throw new Error('API_TIMEOUT: Response took too long');
+    message = 'API_RATE_LIMIT: Please wait before making new requests';
+  } else if (error.code === 'ETIMEDOUT') {
+    message = 'API_TIMEOUT: Response took too long';
   }
-  throw new Error(`API_ERROR: ${error.message}`);
+
+  // Keep the usage of earlier attempts so the fallback still charges it
+  const aiError = new Error(message);
+  aiError.usage = error.usage || null;
+  throw aiError;
 }
 
 // Export the main function
-module.exports = { generateRecommendations };
+module.exports = { generateRecommendations, PROMPT_VERSION, FINDING_REGIONS, SEVERITY_LEVELS };
@@ -0,0 +1,91 @@
+// backend/recommendation-history.js
+const admin = require('./firebase-admin-init');
+
+/*
+ * Every recommendation run is stored under users/{uid}/recommendations/{runId}
+ * with the inputs it used, the model and prompt version, and the output, so
+ * users can revisit earlier routines and we can audit what was suggested.
+ */
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Runs collection for one user
+function runCollection(uid) {
+  return admin.firestore().collection('users').doc(uid).collection('recommendations');
+}
+
+// Persist one run; returns the stored document
+async function saveRecommendationRun(uid, { profileSnapshot, processedAnswers, questionnaireVersion, photoIds, photoUrls, locale, cached, cachedFromRunId, result }) {
+  const ref = runCollection(uid).doc();
+  const { source, model, promptVersion, fallbackReason, usage, ...output } = result;
+
+  const run = {
+    runId: ref.id,
+    userId: uid,
+    createdAt: new Date().toISOString(),
+    inputs: {
+      profileSnapshot: profileSnapshot || null,
+      processedAnswers: processedAnswers || {},
+      questionnaireVersion: questionnaireVersion || null,
+      photoIds: photoIds || [],
+      photoUrls: photoUrls || [],
+      locale: locale || null
+    },
+    source,
+    model: model || null,
+    promptVersion: promptVersion || null,
+    fallbackReason: fallbackReason || null,
+    usage: usage || null,
+    cached: cached === true,
+    cachedFromRunId: cachedFromRunId || null, // run whose result (and photo session) this one reuses
+    output
+  };
+
+  await ref.set(run);
+  return run;
+}
+
+// Newest-first page of run summaries; cursor is the runId of the last item of the previous page
+async function listRecommendationRuns(uid, { limit, cursor } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let query = runCollection(uid).orderBy('createdAt', 'desc').limit(pageSize + 1);
+
+  if (cursor) {
+    const cursorDoc = await runCollection(uid).doc(String(cursor)).get();
+    if (!cursorDoc.exists) {
+      return { error: 'INVALID_CURSOR' };
+    }
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.get();
+  const docs = snapshot.docs.slice(0, pageSize);
+
+  return {
+    items: docs.map(doc => {
+      const run = doc.data();
+      return {
+        runId: run.runId,
+        createdAt: run.createdAt,
+        source: run.source,
+        model: run.model,
+        promptVersion: run.promptVersion,
+        recommendationCount: (run.output.recommendations || []).length
+      };
+    }),
+    nextCursor: snapshot.docs.length > pageSize ? docs[docs.length - 1].id : null
+  };
+}
+
+// Full run by ID, or null when it does not exist for this user
+async function getRecommendationRun(uid, runId) {
+  const doc = await runCollection(uid).doc(String(runId)).get();
+  return doc.exists ? doc.data() : null;
+}
+
+module.exports = {
+  saveRecommendationRun,
+  listRecommendationRuns,
+  getRecommendationRun
+};
@@ -0,0 +1,222 @@
+// backend/recommendation-jobs.js
+const admin = require('./firebase-admin-init');
+const { runRecommendationPipeline } = require('./recommendation-pipeline');
+const { deleteInBatches } = require('./firestore-batch');
+
+/*
+ * Async recommendation jobs. A job is stored at jobs/{jobId} with its owner,
+ * the request body and a status of queued -> running -> succeeded | failed |
+ * expired. The in-process worker runs the shared pipeline, writing each stage
+ * and any partial results to the job document so clients on flaky
+ * connections can poll GET /jobs/:id instead of holding a socket open.
+ * Unexpected errors are retried with a growing delay up to JOB_MAX_ATTEMPTS;
+ * bad input fails at once. Jobs are readable until expiresAt; a job whose
+ * expiry passes before the worker reaches it is marked expired, not run.
+ *
+ * The worker lives in the server process, so a restart drops whatever it was
+ * doing. startJobSweeper() runs sweepRecommendationJobs at startup and every
+ * JOB_SWEEP_INTERVAL_MS: jobs left queued or running without an update for
+ * JOB_STALE_MS are handed back to the worker (a lost running attempt counts
+ * as a failed one), and jobs past expiresAt are deleted. A worker claims a
+ * job in a transaction, so several server instances never run the same job.
+ */
+
+const MAX_JOB_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const JOB_RETRY_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 2000;
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+// Longer than any single attempt takes; each stage update resets the clock
+const JOB_STALE_MS = parseInt(process.env.JOB_STALE_MS, 10) || 5 * 60 * 1000;
+const JOB_SWEEP_INTERVAL_MS = parseInt(process.env.JOB_SWEEP_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// Statuses the worker has not finished with
+const PENDING_JOB_STATUSES = ['queued', 'running'];
+
+function jobCollection() {
+  return admin.firestore().collection('jobs');
+}
+
+function isExpired(job) {
+  return Date.now() > Date.parse(job.expiresAt);
+}
+
+function isStale(job) {
+  return Date.now() - Date.parse(job.updatedAt) >= JOB_STALE_MS;
+}
+
+// Store a queued job and start working on it; returns the stored document
+async function createRecommendationJob(uid, body, { locale } = {}) {
+  const ref = jobCollection().doc();
+  const now = new Date();
+
+  const job = {
+    jobId: ref.id,
+    userId: uid,
+    status: 'queued',
+    stage: 'queued',
+    stages: [{ stage: 'queued', at: now.toISOString() }],
+    attempts: 0,
+    maxAttempts: MAX_JOB_ATTEMPTS,
+    input: body,
+    locale: locale || null,
+    partial: {},
+    result: null,
+    error: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + JOB_TTL_MS).toISOString()
+  };
+
+  await ref.set(job);
+  setImmediate(() => processRecommendationJob(ref.id));
+  return job;
+}
+
+// Worker: run the pipeline for one job, retrying unexpected failures
+async function processRecommendationJob(jobId) {
+  const ref = jobCollection().doc(jobId);
+
+  try {
+    const job = await claimJob(ref);
+    if (!job) return;
+    const attempt = job.attempts;
+
+    try {
+      const outcome = await runRecommendationPipeline(job.userId, job.input, {
+        // update() fails once the job is deleted (account deletion), stopping the run before it saves
+        onStage: (stage, partial = {}) => updateJob(ref, { stage, ...prefixKeys('partial', partial) }),
+        locale: job.locale || undefined
+      });
+
+      if (!outcome.success) {
+        await updateJob(ref, {
+          status: 'failed',
+          stage: 'failed',
+          error: { code: outcome.error, details: outcome.details || null, retryable: false }
+        });
+        return;
+      }
+
+      await updateJob(ref, {
+        status: 'succeeded',
+        stage: 'completed',
+        result: { runId: outcome.runId, cached: outcome.cached, recommendations: outcome.recommendations }
+      });
+
+    } catch (error) {
+      console.error(`[JOB ERROR] ${jobId} attempt ${attempt}`, error);
+      const retryable = attempt < job.maxAttempts;
+
+      await updateJob(ref, {
+        status: retryable ? 'queued' : 'failed',
+        stage: retryable ? 'retrying' : 'failed',
+        error: { code: 'PIPELINE_ERROR', message: error.message, retryable }
+      });
+
+      if (retryable) {
+        setTimeout(() => processRecommendationJob(jobId), JOB_RETRY_DELAY_MS * attempt);
+      }
+    }
+
+  } catch (error) {
+    // Job document itself could not be read or written; nothing left to report to
+    console.error(`[JOB WORKER ERROR] ${jobId}`, error);
+  }
+}
+
+// Queued job -> running, in a transaction so only one worker takes it; returns the
+// claimed job, or null when it is gone, already taken, finished or expired
+function claimJob(ref) {
+  return admin.firestore().runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists || doc.data().status !== 'queued') return null;
+    const job = doc.data();
+
+    if (isExpired(job)) {
+      transaction.update(ref, jobUpdate({ status: 'expired', stage: 'expired' }));
+      return null;
+    }
+
+    const claimed = { status: 'running', attempts: job.attempts + 1, error: null };
+    transaction.update(ref, jobUpdate(claimed));
+    return { ...job, ...claimed };
+  });
+}
+
+// Running job whose worker stopped -> queued again, or failed when it has no attempts left;
+// returns true when it should be run again
+function releaseStaleJob(ref) {
+  return admin.firestore().runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    if (!doc.exists) return false;
+    const job = doc.data();
+    if (job.status !== 'running' || !isStale(job)) return false;
+
+    const retryable = job.attempts < job.maxAttempts;
+    transaction.update(ref, jobUpdate({
+      status: retryable ? 'queued' : 'failed',
+      stage: retryable ? 'retrying' : 'failed',
+      error: { code: 'WORKER_STOPPED', retryable }
+    }));
+    return retryable;
+  });
+}
+
+// Fields plus updatedAt, with the stage appended to the job's stage log
+function jobUpdate(fields) {
+  const now = new Date().toISOString();
+  const update = { ...fields, updatedAt: now };
+  if (fields.stage) {
+    update.stages = admin.firestore.FieldValue.arrayUnion({ stage: fields.stage, at: now });
+  }
+  return update;
+}
+
+function updateJob(ref, fields) {
+  return ref.update(jobUpdate(fields));
+}
+
+// { a: 1 } -> { 'partial.a': 1 } so partial results merge instead of replacing each other
+function prefixKeys(prefix, fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => [`${prefix}.${key}`, value]));
+}
+
+// Job owned by uid, or null; expired jobs come back with expired: true
+async function getRecommendationJob(uid, jobId) {
+  const doc = await jobCollection().doc(String(jobId)).get();
+  if (!doc.exists) return null;
+
+  const job = doc.data();
+  if (job.userId !== uid) return null;
+
+  return { job, expired: isExpired(job) };
+}
+
+// Delete expired jobs, then restart jobs abandoned by a stopped worker
+async function sweepRecommendationJobs() {
+  await deleteInBatches(jobCollection().where('expiresAt', '<', new Date().toISOString()));
+
+  const pending = await jobCollection().where('status', 'in', PENDING_JOB_STATUSES).get();
+  for (const doc of pending.docs) {
+    const job = doc.data();
+    if (!isStale(job)) continue;
+
+    if (job.status === 'running' && !(await releaseStaleJob(doc.ref))) continue;
+    await processRecommendationJob(job.jobId);
+  }
+}
+
+// Sweep now and then every JOB_SWEEP_INTERVAL_MS (the timer does not keep the process alive)
+function startJobSweeper() {
+  const sweep = () => sweepRecommendationJobs().catch(error => console.error('[JOB SWEEP ERROR]', error));
+  sweep();
+  setInterval(sweep, JOB_SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  createRecommendationJob,
+  processRecommendationJob,
+  getRecommendationJob,
+  sweepRecommendationJobs,
+  startJobSweeper,
+  MAX_JOB_ATTEMPTS
+};
@@ -0,0 +1,205 @@
+// backend/recommendation-pipeline.js
+const { processQuestionnaireAnswers } = require('./profile-processor');
+const { validatePhotoUrls, formatPhotosForAI, localizeQualityNotes, verifyPhotoAccessibility, GUARD_ERROR_CODES } = require('./photo-analyzer');
+const { generateRecommendations, PROMPT_VERSION } = require('./recommendation-engine');
+const { getAIProvider } = require('./ai-providers');
+const { resolvePhotoIds } = require('./photo-storage');
+const { saveRecommendationRun } = require('./recommendation-history');
+const { recordTokenUsage } = require('./usage-quotas');
+const { saveAnalysisSession } = require('./progress-tracker');
+const { DEFAULT_LOCALE, translate } = require('./localization');
+const { getCatalogVersion } = require('./product-catalog');
+const { getAccountDeletion } = require('./account-data');
+const {
+  isCacheEnabled,
+  buildCacheKey,
+  getCachedRecommendations,
+  cacheRecommendations
+} = require('./recommendation-cache');
+
+/*
+ * The full recommendation pipeline for one validated request body: resolve
+ * uploaded photos, process questionnaire answers, reuse a cached result or
+ * analyze photos and generate recommendations, then save the run to history.
+ * Shared by the synchronous endpoint, the async job worker and the SSE
+ * stream; onStage(stage, partial) is awaited as each stage starts so callers
+ * can report progress, and onRecommendation is passed through to stream
+ * provisional model output.
+ * Validation messages, photo quality notes and the model's free text are in
+ * `locale`.
+ */
+
+const PIPELINE_STAGES = ['resolving_photos', 'checking_cache', 'analyzing_photos', 'generating_recommendations', 'saving'];
+
+// Returns { success, runId, recommendations, cached } or { success: false, error, details } for bad input
+async function runRecommendationPipeline(uid, body, { onStage = async () => {}, onRecommendation, locale = DEFAULT_LOCALE } = {}) {
+  const { profileData, questionnaireAnswers, questionnaireVersion, photos, photoIds } = body;
+
+  // Uploaded photos are referenced by ID and resolved to short-lived URLs
+  await onStage('resolving_photos');
+  const uploaded = await resolvePhotoIds(uid, photoIds);
+  if (!uploaded.success) {
+    return { success: false, error: uploaded.error, details: uploaded.missing };
+  }
+
+  // Process Inputs (answers are checked against the questionnaire version the client used)
+  const questionnaire = processQuestionnaireAnswers(questionnaireAnswers, { version: questionnaireVersion, locale });
+  if (questionnaire.error) {
+    return { success: false, error: questionnaire.error, details: questionnaire.errors };
+  }
+  const processedProfile = questionnaire.answers;
+  const photoUrls = [...(photos || []), ...uploaded.urls];
+
+  // Photos are optional; when present they must validate before anything is fetched
+  let validatedUrls = [];
+  if (photoUrls.length > 0) {
+    const validatedPhotos = validatePhotoUrls(photoUrls, { locale });
+    if (!validatedPhotos.success) {
+      return { success: false, error: validatedPhotos.error, details: validatedPhotos.errors };
+    }
+    validatedUrls = validatedPhotos.validatedUrls;
+  }
+
+  // Identical inputs (same photo ETags, catalog, model, prompt version and locale) reuse an earlier result
+  await onStage('checking_cache', validatedUrls.length > 0 ? { validatedPhotos: validatedUrls.length } : {});
+  const profile = { ...profileData, processedAnswers: processedProfile };
+  const cacheKey = await computeCacheKey(profile, validatedUrls, locale);
+  const cacheEntry = await readCache(uid, cacheKey);
+  const cached = cacheEntry !== null;
+  let recommendations = cached ? cacheEntry.result : null;
+  let photoAnalysis = null;
+
+  if (!cached) {
+    // Prepare photos for the vision model
+    if (validatedUrls.length > 0) {
+      await onStage('analyzing_photos');
+      photoAnalysis = await formatPhotosForAI(validatedUrls);
+
+      // Hosts resolving to private addresses pass URL validation and are only refused on fetch
+      const blocked = (photoAnalysis.processingErrors || []).filter(failure => GUARD_ERROR_CODES.includes(failure.error));
+      if (blocked.length > 0) {
+        return { success: false, error: 'BLOCKED_ADDRESS', details: blocked.map(failure => blockedPhotoError(failure, locale)) };
+      }
+    }
+
+    // Generate Recommendations
+    await onStage('generating_recommendations', photoAnalysis ? summarizePhotoAnalysis(photoAnalysis, locale) : {});
+    recommendations = await generateRecommendations(profile, photoAnalysis, { onRecommendation, locale });
+  }
+
+  // The account may have been deleted while the model was running; write nothing back for it
+  if (await getAccountDeletion(uid)) {
+    return { success: false, error: 'ACCOUNT_DELETED' };
+  }
+
+  if (!cached) {
+    // Count the AI tokens against the user's monthly budget
+    try {
+      await recordTokenUsage(uid, recommendations.usage);
+    } catch (usageError) {
+      console.error('[USAGE RECORD ERROR]', usageError);
+    }
+  }
+
+  // Keep the run (inputs, model, prompt version, output) in the user's history
+  await onStage('saving', { recommendations });
+  let runId = null;
+  try {
+    const run = await saveRecommendationRun(uid, {
+      profileSnapshot: profileData,
+      processedAnswers: processedProfile,
+      questionnaireVersion: questionnaire.version,
+      photoIds,
+      photoUrls: photos,
+      locale,
+      cached,
+      cachedFromRunId: cached ? cacheEntry.runId : null,
+      result: recommendations
+    });
+    runId = run.runId;
+  } catch (historyError) {
+    console.error('[HISTORY SAVE ERROR]', historyError);
+  }
+
+  // Cached with the run it came from, so later hits can find that run's photo session
+  if (!cached) {
+    try {
+      await cacheRecommendations(uid, cacheKey, recommendations, { runId });
+    } catch (cacheError) {
+      console.error('[CACHE WRITE ERROR]', cacheError);
+    }
+  }
+
+  // Photo sessions feed the progress timeline (a cache hit means these photos are already recorded)
+  if (photoAnalysis && photoAnalysis.success) {
+    try {
+      await saveAnalysisSession(uid, { runId, photoAnalysis, result: recommendations });
+    } catch (sessionError) {
+      console.error('[SESSION SAVE ERROR]', sessionError);
+    }
+  }
+
+  return { success: true, runId, recommendations, cached };
+}
+
+// Cache key from the photos' ETags (one HEAD request each); null when a photo cannot be addressed
+async function computeCacheKey(profile, validatedUrls, locale) {
+  if (!isCacheEnabled()) return null;
+
+  try {
+    const checks = await Promise.all(validatedUrls.map(photo => verifyPhotoAccessibility(photo.originalUrl)));
+    return buildCacheKey({
+      profile,
+      processedAnswers: profile.processedAnswers,
+      photoEtags: checks.map(check => (check.accessible ? check.etag : null)),
+      catalogVersion: await getCatalogVersion(),
+      model: getAIProvider().model,
+      promptVersion: PROMPT_VERSION,
+      locale
+    });
+  } catch (error) {
+    // Misconfigured provider, unreadable catalog etc.; the engine reports it, the cache just steps aside
+    return null;
+  }
+}
+
+// Cached result, or null on a miss or when the cache cannot be read
+async function readCache(uid, cacheKey) {
+  try {
+    return await getCachedRecommendations(uid, cacheKey);
+  } catch (error) {
+    console.error('[CACHE READ ERROR]', error);
+    return null;
+  }
+}
+
+// Same shape as validatePhotoUrls' per-photo errors
+function blockedPhotoError(failure, locale) {
+  return {
+    index: failure.index,
+    error: failure.error,
+    message: translate(locale, 'photos.PHOTO_ERROR', {
+      number: failure.index + 1,
+      message: translate(locale, `photos.${failure.error}`)
+    })
+  };
+}
+
+// Photo metadata safe to report as progress (no image data)
+function summarizePhotoAnalysis(photoAnalysis, locale) {
+  return {
+    photoSummary: photoAnalysis.summary || null,
+    photos: (photoAnalysis.photos || []).map(photo => ({
+      format: photo.format,
+      dimensions: photo.dimensions,
+      fileSize: photo.fileSize,
+      qualityScore: photo.quality.score,
+      aiCompatible: photo.aiCompatible,
+      retakeRecommended: photo.retakeRecommended,
+      processingNotes: localizeQualityNotes(photo.processingNotes, locale)
+    })),
+    photoErrors: photoAnalysis.processingErrors || []
+  };
+}
+
+module.exports = { runRecommendationPipeline, PIPELINE_STAGES };
@@ -0,0 +1,158 @@
+// backend/recommendation-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { listRecommendationRuns, getRecommendationRun } = require('./recommendation-history');
+const { getCatalogProducts } = require('./product-catalog');
+const { buildRoutineSchedule, buildRoutineCalendar } = require('./routine-builder');
+const { getSessionForRun } = require('./progress-tracker');
+const { buildReportModel, renderReportHtml, renderReportPdf } = require('./report-renderer');
+
+const router = express.Router();
+
+// History is always scoped to the caller
+router.use(requireAuth);
+
+// List Runs (newest first, ?limit=&cursor=)
+router.get('/', async (req, res) => {
+  try {
+    const page = await listRecommendationRuns(req.user.uid, {
+      limit: req.query.limit,
+      cursor: req.query.cursor
+    });
+
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    res.json({ success: true, ...page });
+
+  } catch (error) {
+    console.error('[HISTORY ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Run Detail
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await getRecommendationRun(req.user.uid, req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ error: "RECOMMENDATION_NOT_FOUND" });
+    }
+
+    res.json({ success: true, run });
+
+  } catch (error) {
+    console.error('[HISTORY ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Weekly schedule options shared by the JSON and .ics variants
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function loadSchedule(req, res) {
+  const run = await getRecommendationRun(req.user.uid, req.params.id);
+  if (!run) {
+    res.status(404).json({ error: "RECOMMENDATION_NOT_FOUND" });
+    return null;
+  }
+
+  const schedule = buildRoutineSchedule(run.output, {
+    catalog: await getCatalogProducts(),
+    startDate: req.query.start,
+    weeks: req.query.weeks
+  });
+  if (schedule.error) {
+    res.status(400).json({ error: schedule.error });
+    return null;
+  }
+
+  return { run, schedule };
+}
+
+// Routine Schedule (?start=YYYY-MM-DD&weeks=)
+router.get('/:id/schedule', async (req, res) => {
+  try {
+    const loaded = await loadSchedule(req, res);
+    if (!loaded) return;
+
+    res.json({ success: true, runId: loaded.run.runId, schedule: loaded.schedule });
+
+  } catch (error) {
+    console.error('[SCHEDULE ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Routine Calendar Download (?start=&weeks=&morning=HH:MM&evening=HH:MM)
+router.get('/:id/schedule.ics', async (req, res) => {
+  try {
+    const { morning = '07:30', evening = '21:30' } = req.query;
+    if (!TIME_PATTERN.test(morning) || !TIME_PATTERN.test(evening)) {
+      return res.status(400).json({ error: "INVALID_TIME" });
+    }
+
+    const loaded = await loadSchedule(req, res);
+    if (!loaded) return;
+
+    const calendar = buildRoutineCalendar(loaded.schedule, {
+      runId: loaded.run.runId,
+      morningTime: morning,
+      eveningTime: evening
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="skincare-routine-${loaded.schedule.startDate}.ics"`
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('[SCHEDULE ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+// Printable Report (?format=html|pdf, default html)
+router.get('/:id/report', async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: "UNSUPPORTED_FORMAT" });
+    }
+
+    const run = await getRecommendationRun(req.user.uid, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "RECOMMENDATION_NOT_FOUND" });
+    }
+
+    // A cache hit analysed no photos itself; its findings are on the run it reused
+    const session = await getSessionForRun(req.user.uid, run.runId)
+      || (run.cachedFromRunId ? await getSessionForRun(req.user.uid, run.cachedFromRunId) : null);
+    const model = buildReportModel(run, session);
+    const filename = `skincare-report-${run.createdAt.slice(0, 10)}.${format}`;
+
+    if (format === 'pdf') {
+      const pdf = await renderReportPdf(model);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.send(pdf);
+    }
+
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Disposition': `inline; filename="${filename}"`
+    });
+    res.send(renderReportHtml(model));
+
+  } catch (error) {
+    console.error('[REPORT ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
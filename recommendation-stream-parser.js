@@ -0,0 +1,79 @@
+// backend/recommendation-stream-parser.js
+
+/*
+ * Incremental parser for streamed model output. Text is pushed in as it
+ * arrives; every complete object inside the top-level "recommendations" array
+ * is parsed and handed to onItem(item, index) as soon as its closing brace
+ * arrives. Items are provisional: the full response is still validated (and
+ * may be repaired or replaced) once the stream ends.
+ */
+
+const ARRAY_KEY = /"recommendations"\s*:\s*\[/;
+
+function createRecommendationStreamParser(onItem) {
+  let buffer = '';
+  let position = -1; // scan position inside the array, -1 until the array is found
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let itemStart = -1;
+  let index = 0;
+  let done = false;
+
+  function scan() {
+    if (position === -1) {
+      const match = ARRAY_KEY.exec(buffer);
+      if (!match) return;
+      position = match.index + match[0].length;
+    }
+
+    for (; position < buffer.length && !done; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0) itemStart = position;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          // End of the recommendations array
+          done = true;
+          break;
+        }
+        depth--;
+        if (depth === 0 && char === '}') {
+          emit(buffer.slice(itemStart, position + 1));
+        }
+      }
+    }
+  }
+
+  function emit(json) {
+    let item;
+    try {
+      item = JSON.parse(json);
+    } catch (error) {
+      // Malformed item; the final validation reports it
+      return;
+    }
+    onItem(item, index++);
+  }
+
+  return {
+    push(delta) {
+      if (done || !delta) return;
+      buffer += delta;
+      scan();
+    }
+  };
+}
+
+module.exports = { createRecommendationStreamParser };
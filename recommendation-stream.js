@@ -0,0 +1,76 @@
+// backend/recommendation-stream.js
+const { runRecommendationPipeline } = require('./recommendation-pipeline');
+const { localizeErrorBody } = require('./localization');
+
+/*
+ * Server-Sent Events variant of POST /apirecommendations (?stream=true).
+ * Events, in order:
+ *
+ *   stage             { stage }                      each pipeline stage as it starts
+ *   photos_validated  { count }                      photo URLs passed validation
+ *   photo_metadata    { photoSummary, photos, photoErrors }
+ *   recommendation    { index, attempt, recommendation }
+ *                                                    provisional item parsed from the model stream
+ *   result            { runId, cached, recommendations }
+ *                                                    complete validated (or fallback) result
+ *   error             { error, message, details? }   typed error with a localized message; ends the stream
+ *
+ * Streamed items come straight from the model before schema validation and
+ * safety checks, and are re-sent if a repair attempt is needed; only the
+ * result event is authoritative.
+ */
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 15000;
+
+async function streamRecommendations(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // The pipeline keeps running (and saves history) if the client goes away
+  let open = true;
+  res.on('close', () => { open = false; });
+
+  const send = (event, data) => {
+    if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => open && res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  try {
+    const outcome = await runRecommendationPipeline(req.user.uid, req.body, {
+      onStage: async (stage, partial = {}) => {
+        send('stage', { stage });
+        if (partial.validatedPhotos !== undefined) {
+          send('photos_validated', { count: partial.validatedPhotos });
+        }
+        if (stage === 'generating_recommendations' && partial.photoSummary) {
+          send('photo_metadata', partial);
+        }
+      },
+      onRecommendation: (recommendation, { index, attempt }) => {
+        send('recommendation', { index, attempt, recommendation });
+      },
+      locale: req.locale
+    });
+
+    if (outcome.success) {
+      send('result', { runId: outcome.runId, cached: outcome.cached, recommendations: outcome.recommendations });
+    } else {
+      send('error', localizeErrorBody({ error: outcome.error, details: outcome.details }, req.locale));
+    }
+
+  } catch (error) {
+    console.error('[STREAM ERROR]', error);
+    send('error', localizeErrorBody({ error: "INTERNAL_ERROR" }, req.locale));
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+module.exports = { streamRecommendations };
@@ -0,0 +1,198 @@
+// backend/report-renderer.js
+const PDFDocument = require('pdfkit');
+const { getQuestionnaire } = require('./questionnaire-definitions');
+const { localizeQualityNotes } = require('./photo-analyzer');
+const { translate } = require('./localization');
+
+/*
+ * Printable report for one stored recommendation run, as self-contained HTML
+ * or as a PDF rendered in-process with pdfkit (no browser or external
+ * service). Both formats are built from the same report model: profile
+ * summary, questionnaire highlights, photo quality notes from the run's
+ * analysis session, findings, recommendations and a medical disclaimer.
+ * Photo quality notes are shown in the run's locale, like its findings and
+ * reasoning.
+ */
+
+const DISCLAIMER = 'This report is generated by an automated system for general skincare guidance only. '
+  + 'It is not a medical diagnosis or a substitute for advice from a dermatologist or other qualified '
+  + 'healthcare professional. Stop using any product that causes irritation, and seek medical advice '
+  + 'for persistent, painful or changing skin conditions.';
+
+// Everything the report shows, independent of output format
+function buildReportModel(run, session) {
+  const profile = run.inputs.profileSnapshot || {};
+  const locale = run.inputs.locale;
+  const questionnaire = run.inputs.questionnaireVersion ? getQuestionnaire(run.inputs.questionnaireVersion) : null;
+  const prompts = new Map((questionnaire ? questionnaire.questions : []).map(question => [question.id, question.prompt]));
+
+  return {
+    runId: run.runId,
+    createdAt: run.createdAt,
+    source: run.source,
+    profile: [
+      ['Skin type', profile.skinType],
+      ['Concerns', (profile.concerns || []).join(', ')],
+      ['Age', profile.age],
+      ['Pregnant or breastfeeding', profile.pregnancyOrBreastfeeding === true ? 'Yes' : null]
+    ].filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    answers: Object.entries(run.inputs.processedAnswers || {}).map(([id, value]) => [
+      prompts.get(id) || id,
+      typeof value === 'boolean' ? (value ? 'Yes' : 'No') : Array.isArray(value) ? value.join(', ') : String(value)
+    ]),
+    photos: session
+      ? session.photos.map((photo, index) => {
+        const notes = localizeQualityNotes(photo.processingNotes || photo.qualityIssues, locale)
+          .map(note => (typeof note === 'string' ? note : note.message));
+        return {
+          label: `Photo ${index + 1}`,
+          quality: photo.qualityScore,
+          notes: notes.length > 0 ? notes : [translate(locale, 'photoQuality.GOOD_QUALITY')],
+          retakeRecommended: photo.retakeRecommended
+        };
+      })
+      : [],
+    findings: run.output.findings || [],
+    recommendations: run.output.recommendations || [],
+    disclaimer: DISCLAIMER
+  };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().slice(0, 10);
+}
+
+function renderReportHtml(model) {
+  const rows = pairs => pairs.map(([label, value]) =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+
+  const photos = model.photos.length === 0
+    ? '<p>No photos were analysed for this report.</p>'
+    : `<ul>${model.photos.map(photo => `<li><strong>${photo.label}</strong> (quality ${photo.quality}/100${photo.retakeRecommended ? ', retake recommended' : ''}): ${photo.notes.map(escapeHtml).join('; ')}</li>`).join('')}</ul>`;
+
+  const findings = model.findings.length === 0
+    ? ''
+    : `<h2>Photo Findings</h2><ul>${model.findings.map(finding =>
+      `<li><strong>${escapeHtml(finding.region)}</strong> (${escapeHtml(finding.severity)}): ${escapeHtml(finding.observation)}</li>`).join('')}</ul>`;
+
+  const recommendations = model.recommendations.map((item, index) => `
+    <section class="recommendation">
+      <h3>${index + 1}. ${escapeHtml(item.category)}: ${escapeHtml(item.product)}</h3>
+      <p><strong>When:</strong> ${escapeHtml(item.routine)}</p>
+      <p><strong>Key ingredients:</strong> ${escapeHtml((item.ingredients || []).join(', '))}</p>
+      <p>${escapeHtml(item.reasoning)}</p>
+      ${(item.warnings || []).map(warning => `<p class="warning">&#9888; ${escapeHtml(warning.message)}</p>`).join('')}
+    </section>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Skincare Recommendation Report</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 760px; margin: 2rem auto; padding: 0 1rem; }
+  h1 { margin-bottom: 0.2rem; }
+  .meta { color: #666; margin-top: 0; }
+  table { border-collapse: collapse; }
+  th { text-align: left; padding: 0.2rem 1rem 0.2rem 0; vertical-align: top; }
+  .recommendation { border-top: 1px solid #ddd; padding-top: 0.5rem; }
+  .warning { color: #a15c00; }
+  .disclaimer { margin-top: 2rem; padding: 0.75rem; background: #f4f4f4; font-size: 0.85rem; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>Skincare Recommendation Report</h1>
+  <p class="meta">Generated ${formatDate(model.createdAt)} &middot; Report ${escapeHtml(model.runId)}${model.source === 'fallback' ? ' &middot; rule-based recommendations' : ''}</p>
+
+  <h2>Profile Summary</h2>
+  <table>${rows(model.profile)}</table>
+
+  <h2>Questionnaire Highlights</h2>
+  ${model.answers.length === 0 ? '<p>No questionnaire answers were provided.</p>' : `<table>${rows(model.answers)}</table>`}
+
+  <h2>Photo Quality</h2>
+  ${photos}
+  ${findings}
+
+  <h2>Recommendations</h2>
+  ${recommendations}
+
+  <p class="disclaimer"><strong>Medical disclaimer:</strong> ${escapeHtml(model.disclaimer)}</p>
+</body>
+</html>
+`;
+}
+
+// PDF as a Buffer, drawn with pdfkit's built-in fonts
+function renderReportPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Skincare Recommendation Report' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const heading = text => doc.moveDown().font('Helvetica-Bold').fontSize(14).text(text).moveDown(0.3);
+    const pairs = list => list.forEach(([label, value]) =>
+      doc.font('Helvetica-Bold').fontSize(10).text(`${label}: `, { continued: true }).font('Helvetica').text(String(value)));
+
+    doc.font('Helvetica-Bold').fontSize(20).text('Skincare Recommendation Report');
+    doc.font('Helvetica').fontSize(9).fillColor('#666')
+      .text(`Generated ${formatDate(model.createdAt)} - Report ${model.runId}${model.source === 'fallback' ? ' - rule-based recommendations' : ''}`)
+      .fillColor('black');
+
+    heading('Profile Summary');
+    pairs(model.profile);
+
+    heading('Questionnaire Highlights');
+    if (model.answers.length === 0) doc.font('Helvetica').fontSize(10).text('No questionnaire answers were provided.');
+    pairs(model.answers);
+
+    heading('Photo Quality');
+    if (model.photos.length === 0) doc.font('Helvetica').fontSize(10).text('No photos were analysed for this report.');
+    model.photos.forEach(photo => {
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(`${photo.label} (quality ${photo.quality}/100${photo.retakeRecommended ? ', retake recommended' : ''}): `, { continued: true })
+        .font('Helvetica').text(photo.notes.join('; '));
+    });
+
+    if (model.findings.length > 0) {
+      heading('Photo Findings');
+      model.findings.forEach(finding => {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${finding.region} (${finding.severity}): `, { continued: true })
+          .font('Helvetica').text(finding.observation);
+      });
+    }
+
+    heading('Recommendations');
+    model.recommendations.forEach((item, index) => {
+      doc.moveDown(0.5).font('Helvetica-Bold').fontSize(11).text(`${index + 1}. ${item.category}: ${item.product}`);
+      doc.font('Helvetica').fontSize(10)
+        .text(`When: ${item.routine}`)
+        .text(`Key ingredients: ${(item.ingredients || []).join(', ')}`)
+        .text(item.reasoning);
+      (item.warnings || []).forEach(warning => doc.fillColor('#a15c00').text(`Warning: ${warning.message}`).fillColor('black'));
+    });
+
+    doc.moveDown(1.5).font('Helvetica-Bold').fontSize(9).text('Medical disclaimer: ', { continued: true })
+      .font('Helvetica').text(model.disclaimer);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildReportModel,
+  renderReportHtml,
+  renderReportPdf
+};
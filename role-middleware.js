@@ -0,0 +1,25 @@
+// backend/role-middleware.js
+
+/*
+ * Role checks based on the `roles` custom claim (an array of role names),
+ * which requireAuth copies to req.user.roles. Roles are set through the
+ * admin routes; a user's ID token only carries new claims after it is
+ * refreshed. Works the same against the auth emulator.
+ */
+
+const ROLES = ['admin', 'support'];
+
+// Middleware (after requireAuth): allow the request if the user has any of the given roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+
+    if (!roles.some(role => userRoles.includes(role))) {
+      return res.status(403).json({ error: "FORBIDDEN" });
+    }
+
+    next();
+  };
+}
+
+module.exports = { requireRole, ROLES };
@@ -0,0 +1,224 @@
+// backend/routine-builder.js
+const { detectGroups } = require('./ingredient-checker');
+
+/*
+ * Turns a recommendation result into a day-by-day AM/PM schedule, one block
+ * of 7 days per week:
+ *   - steps are applied in category order (cleanser, treatment, moisturizer,
+ *     sunscreen), with sunscreen in the morning only
+ *   - treatments with strong actives (retinoids, acids, benzoyl peroxide,
+ *     hydroquinone) are used at most one per session and rotate with rest
+ *     sessions
+ *   - treatments are introduced one at a time, INTRODUCTION_INTERVAL_DAYS
+ *     apart, and a strong active starts at every third session for its first
+ *     RAMP_UP_DAYS before joining the rotation
+ * The schedule can be exported as an iCalendar file with a reminder per
+ * session.
+ */
+
+const CATEGORY_ORDER = ['Cleanser', 'Treatment', 'Moisturizer', 'Sunscreen'];
+const STRONG_ACTIVE_GROUPS = ['retinoid', 'aha', 'bha', 'benzoylPeroxide', 'hydroquinone'];
+
+const INTRODUCTION_INTERVAL_DAYS = 7;
+const RAMP_UP_DAYS = 14;
+const RAMP_UP_EVERY = 3;
+
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Sessions (morning/evening) a recommendation belongs to; strong actives get one
+function sessionsFor(recommendation, isStrongActive) {
+  if (recommendation.category === 'Sunscreen') return ['morning'];
+  if (recommendation.routine === 'Morning') return ['morning'];
+  if (recommendation.routine === 'Night') return ['evening'];
+  return isStrongActive ? ['evening'] : ['morning', 'evening'];
+}
+
+// Product entries with their sessions, active group and introduction day
+function planProducts(recommendations, catalog) {
+  const catalogById = new Map(catalog.map(product => [product.productId, product]));
+  let treatmentIndex = 0;
+
+  return recommendations.map(recommendation => {
+    // Only leave-on treatments are rotated; a wash-off cleanser with an acid stays daily
+    const isTreatment = recommendation.category === 'Treatment';
+    const activeGroup = isTreatment
+      ? detectGroups(recommendation, catalogById).find(group => STRONG_ACTIVE_GROUPS.includes(group)) || null
+      : null;
+    const introductionDay = isTreatment ? INTRODUCTION_INTERVAL_DAYS * treatmentIndex++ : 0;
+
+    return {
+      recommendation,
+      activeGroup,
+      introductionDay,
+      sessions: sessionsFor(recommendation, activeGroup !== null)
+    };
+  });
+}
+
+// The strong active (if any) to use in one session on day `day`
+function pickActive(actives, day) {
+  const introduced = actives.filter(entry => entry.introductionDay <= day);
+
+  // New actives ramp up on their own schedule and take priority on their days
+  const rampingUp = introduced.find(entry =>
+    day - entry.introductionDay < RAMP_UP_DAYS && (day - entry.introductionDay) % RAMP_UP_EVERY === 0
+  );
+  if (rampingUp) return rampingUp;
+
+  // Established actives rotate, with one rest session per cycle
+  const established = introduced.filter(entry => day - entry.introductionDay >= RAMP_UP_DAYS);
+  if (established.length === 0) return null;
+  return established[day % (established.length + 1)] || null;
+}
+
+function toStep(entry, order) {
+  const { recommendation, activeGroup } = entry;
+  return {
+    order,
+    category: recommendation.category,
+    productId: recommendation.productId,
+    product: recommendation.product,
+    activeGroup
+  };
+}
+
+// Ordered steps for one session
+function buildSession(entries, session, day) {
+  const inSession = entries.filter(entry => entry.sessions.includes(session) && entry.introductionDay <= day);
+  const active = pickActive(inSession.filter(entry => entry.activeGroup), day);
+
+  const steps = inSession
+    .filter(entry => !entry.activeGroup || entry === active)
+    .sort((a, b) => CATEGORY_ORDER.indexOf(a.recommendation.category) - CATEGORY_ORDER.indexOf(b.recommendation.category))
+    .map((entry, index) => toStep(entry, index + 1));
+
+  const notes = [];
+  const newToday = inSession.filter(entry => entry.introductionDay === day && entry.introductionDay > 0);
+  newToday.forEach(entry => notes.push(`New today: ${entry.recommendation.product}. Patch test first.`));
+  if (!active && inSession.some(entry => entry.activeGroup)) {
+    notes.push('Rest session: no strong actives.');
+  }
+
+  return { steps, notes };
+}
+
+// Day-by-day schedule grouped into weeks, starting at startDate (YYYY-MM-DD, UTC)
+function buildRoutineSchedule(result, { catalog = [], startDate, weeks = DEFAULT_WEEKS } = {}) {
+  const weekCount = Math.min(Math.max(parseInt(weeks, 10) || DEFAULT_WEEKS, 1), MAX_WEEKS);
+  const start = startDate ? new Date(`${startDate}T00:00:00Z`) : new Date(new Date().toISOString().slice(0, 10));
+  // Date parsing rolls impossible days over (2026-02-31 -> March 3), so the date must round-trip
+  if ((startDate && !/^\d{4}-\d{2}-\d{2}$/.test(startDate)) || Number.isNaN(start.getTime())
+    || (startDate && start.toISOString().slice(0, 10) !== startDate)) {
+    return { error: 'INVALID_START_DATE' };
+  }
+
+  const entries = planProducts(result.recommendations || [], catalog);
+
+  const schedule = [];
+  for (let week = 0; week < weekCount; week++) {
+    const days = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const day = week * 7 + weekday;
+      const date = new Date(start.getTime() + day * DAY_MS);
+      days.push({
+        date: date.toISOString().slice(0, 10),
+        dayOfWeek: WEEKDAYS[date.getUTCDay()],
+        morning: buildSession(entries, 'morning', day),
+        evening: buildSession(entries, 'evening', day)
+      });
+    }
+    schedule.push({ week: week + 1, days });
+  }
+
+  return {
+    startDate: start.toISOString().slice(0, 10),
+    weeks: schedule,
+    introductions: entries
+      .filter(entry => entry.recommendation.category === 'Treatment')
+      .map(entry => ({
+        productId: entry.recommendation.productId,
+        product: entry.recommendation.product,
+        startsOn: new Date(start.getTime() + entry.introductionDay * DAY_MS).toISOString().slice(0, 10),
+        activeGroup: entry.activeGroup
+      }))
+  };
+}
+
+// iCalendar text escaping (RFC 5545 3.3.11)
+function escapeText(text) {
+  return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets
+function foldLine(line) {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ' ' + rest.slice(cut);
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+}
+
+// "2026-03-02" + "07:30" -> "20260302T073000" (floating local time)
+function toICalDateTime(date, time) {
+  return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+// Calendar with one event per session, each with a reminder at its start time
+function buildRoutineCalendar(schedule, { runId, morningTime = '07:30', eveningTime = '21:30', durationMinutes = 10 } = {}) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Glow Wizard//Skincare Routine//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Skincare Routine'
+  ];
+
+  for (const week of schedule.weeks) {
+    for (const day of week.days) {
+      for (const [session, label, time] of [['morning', 'Morning', morningTime], ['evening', 'Evening', eveningTime]]) {
+        const { steps, notes } = day[session];
+        if (steps.length === 0) continue;
+
+        const description = [
+          ...steps.map(step => `${step.order}. ${step.category}: ${step.product}`),
+          ...notes
+        ].join('\n');
+
+        lines.push(
+          'BEGIN:VEVENT',
+          `UID:${runId || 'routine'}-${day.date}-${session}@glow-wizard`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART:${toICalDateTime(day.date, time)}`,
+          `DURATION:PT${durationMinutes}M`,
+          `SUMMARY:${escapeText(`${label} skincare routine`)}`,
+          `DESCRIPTION:${escapeText(description)}`,
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `DESCRIPTION:${escapeText(`Time for your ${session} routine`)}`,
+          'TRIGGER:PT0M',
+          'END:VALARM',
+          'END:VEVENT'
+        );
+      }
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildRoutineSchedule,
+  buildRoutineCalendar,
+  STRONG_ACTIVE_GROUPS
+};
@@ -0,0 +1,18 @@
+// backend/seed-catalog.js
+// Usage: node seed-catalog.js [path/to/catalog.json]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { seedCatalog } = require('./product-catalog');
+
+const file = path.resolve(process.argv[2] || path.join(__dirname, 'data', 'product-catalog.json'));
+
+seedCatalog(JSON.parse(fs.readFileSync(file, 'utf8')))
+  .then(result => {
+    console.log(`✅ Seeded ${result.count} products from ${file}`);
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('❌ Catalog seed failed:', error.message);
+    process.exit(1);
+  });
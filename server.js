@@ -2,10 +2,21 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const requireAuth = require('./auth-middleware');
-const { validateAPIRequest } = require('./data-validator');
-const { processQuestionnaireAnswers } = require('./profile-processor');
-const { validatePhotoUrls } = require('./photo-analyzer');
-const { generateRecommendations } = require('./recommendation-engine');
+const { validateAPIRequest, validateBody } = require('./data-validator');
+const { runRecommendationPipeline } = require('./recommendation-pipeline');
+const { createRecommendationJob, startJobSweeper } = require('./recommendation-jobs');
+const { streamRecommendations } = require('./recommendation-stream');
+const { enforceQuota } = require('./usage-quotas');
+const { localizeResponses } = require('./localization');
+const profileRoutes = require('./profile-routes');
+const photoRoutes = require('./photo-routes');
+const recommendationRoutes = require('./recommendation-routes');
+const jobRoutes = require('./job-routes');
+const questionnaireRoutes = require('./questionnaire-routes');
+const usageRoutes = require('./usage-routes');
+const adminRoutes = require('./admin-routes');
+const progressRoutes = require('./progress-routes');
+const accountRoutes = require('./account-routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -13,6 +24,7 @@ const PORT = process.env.PORT || 3000;
 // Middleware Configuration
 app.use(cors());
 app.use(express.json());
+app.use(localizeResponses); // req.locale from Accept-Language (requireAuth adds the profile's locale); localized error messages
 
 // Debugging Middleware (Remove in Prod)
 app.use((req, res, next) => {
@@ -29,28 +41,66 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Questionnaire Definitions (GET /questionnaires/current, GET /questionnaires/:version)
+app.use('/questionnaires', questionnaireRoutes);
+
+// Profile CRUD (GET/PUT/PATCH/DELETE /profiles/me)
+app.use('/profiles', profileRoutes);
+
+// Photo Uploads (POST /photos)
+app.use('/photos', photoRoutes);
+
+// Recommendation History (GET /recommendations, GET /recommendations/:id, /:id/schedule[.ics], /:id/report)
+app.use('/recommendations', recommendationRoutes);
+
+// Async Recommendation Jobs (GET /jobs/:id)
+app.use('/jobs', jobRoutes);
+
+// Skin Progress Timeline (GET /progress)
+app.use('/progress', progressRoutes);
+
+// Usage & Quotas (GET /usage/me)
+app.use('/usage', usageRoutes);
+
+// Account Data (GET /me/export, DELETE /me)
+app.use('/me', accountRoutes);
+
+// Admin (user lookups for admin/support roles, role management for admins)
+app.use('/admin', adminRoutes);
+
 // Recommendations Endpoint
 app.post('/apirecommendations', 
   requireAuth, // Auth Middleware
-  (req, res, next) => validateAPIRequest(req.body) ? next() : res.status(400).json({ error: "INVALID_REQUEST" }), // Validation
+  validateBody(validateAPIRequest), // Validation (400 with field paths)
+  enforceQuota, // Per-user quotas (429 with Retry-After)
   async (req, res) => {
     try {
-      const { profileData, questionnaireAnswers, photos } = req.body;
-      
-      // Process Inputs
-      const processedProfile = processQuestionnaireAnswers(questionnaireAnswers);
-      const validatedPhotos = validatePhotoUrls(photos);
-      
-      // Generate Recommendations
-      const recommendations = await generateRecommendations({
-        profileData,
-        processedAnswers: processedProfile,
-        photos: validatedPhotos
-      });
+      // Async mode: hand the request to the job worker and return at once
+      if (req.query.async === 'true') {
+        const job = await createRecommendationJob(req.user.uid, req.body, { locale: req.locale });
+        return res.status(202).json({
+          success: true,
+          jobId: job.jobId,
+          status: job.status,
+          expiresAt: job.expiresAt
+        });
+      }
+
+      // Streaming mode: progress and results as Server-Sent Events
+      if (req.query.stream === 'true') {
+        return streamRecommendations(req, res);
+      }
+
+      const outcome = await runRecommendationPipeline(req.user.uid, req.body, { locale: req.locale });
+      if (!outcome.success) {
+        return res.status(400).json({ error: outcome.error, details: outcome.details });
+      }
 
       res.json({
         success: true,
-        recommendations,
+        runId: outcome.runId,
+        cached: outcome.cached,
+        recommendations: outcome.recommendations,
         user: req.user
       });
 
@@ -63,4 +113,7 @@ app.post('/apirecommendations',
 app.listen(PORT, () => {
   console.log(`🚀 Server: http://localhost:${PORT}`);
   console.log(`🔧 Auth Emulator: ${process.env.FIREBASE_AUTH_EMULATOR_HOST}`);
+
+  // Pick up jobs a previous process left behind, and clear out expired ones
+  startJobSweeper();
 });
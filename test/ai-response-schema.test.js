@@ -0,0 +1,85 @@
+// backend/test/ai-response-schema.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAIResponse, AIResponseValidationError } = require('../ai-response-schema');
+
+const catalog = [
+  { productId: 'cleanser-1', category: 'Cleanser', brand: 'Acme', name: 'Gentle Wash' },
+  { productId: 'spf-1', category: 'Sunscreen', brand: 'Acme', name: 'Daily SPF 50' }
+];
+
+function response(overrides = {}) {
+  return {
+    findings: [{ region: 'cheeks', observation: 'Mild redness', severity: 'mild' }],
+    recommendations: [{
+      productId: 'cleanser-1',
+      category: 'Cleanser',
+      product: 'Whatever the model called it',
+      ingredients: ['glycerin'],
+      routine: 'Both',
+      reasoning: 'Gentle enough for daily use.'
+    }],
+    ...overrides
+  };
+}
+
+test('accepts bare JSON and a single json fence', () => {
+  const text = JSON.stringify(response());
+  assert.equal(validateAIResponse(text).valid, true);
+  assert.equal(validateAIResponse('```json\n' + text + '\n```').valid, true);
+});
+
+test('rejects empty responses and prose around the JSON', () => {
+  assert.deepEqual(validateAIResponse('').violations, ['Response was empty']);
+
+  const result = validateAIResponse('Here you go: ' + JSON.stringify(response()));
+  assert.equal(result.valid, false);
+  assert.match(result.violations[0], /not valid JSON/);
+});
+
+test('reports every schema violation, including unknown keys', () => {
+  const result = validateAIResponse(JSON.stringify(response({
+    findings: [{ region: 'nose', observation: 'x', severity: 'mild' }],
+    extra: true
+  })));
+  assert.equal(result.valid, false);
+  assert.equal(result.violations.length, 2);
+  assert.ok(result.violations.some(violation => violation.includes('region')));
+  assert.ok(result.violations.some(violation => violation.includes('extra')));
+});
+
+test('defaults missing findings to an empty list', () => {
+  const { findings, ...withoutFindings } = response();
+  const result = validateAIResponse(JSON.stringify(withoutFindings));
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.value.findings, []);
+});
+
+test('takes product names from the catalog', () => {
+  const result = validateAIResponse(JSON.stringify(response()), { catalog });
+  assert.equal(result.valid, true);
+  assert.equal(result.value.recommendations[0].product, 'Acme Gentle Wash');
+});
+
+test('rejects unknown products and category mismatches', () => {
+  const recommendation = response().recommendations[0];
+  const result = validateAIResponse(JSON.stringify(response({
+    recommendations: [
+      { ...recommendation, productId: 'missing-1' },
+      { ...recommendation, productId: 'spf-1' }
+    ]
+  })), { catalog });
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.violations, [
+    '"recommendations[0].productId" missing-1 is not in the approved product list',
+    '"recommendations[1].category" must be Sunscreen for product spf-1'
+  ]);
+});
+
+test('validation errors carry their violations and attempt count', () => {
+  const error = new AIResponseValidationError(['a', 'b'], 3);
+  assert.equal(error.code, 'AI_RESPONSE_INVALID');
+  assert.equal(error.message, 'AI_RESPONSE_INVALID: a; b');
+  assert.equal(error.attempts, 3);
+});
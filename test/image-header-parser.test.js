@@ -0,0 +1,114 @@
+// backend/test/image-header-parser.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectFormatFromMagicBytes, parseImageHeader, describeOrientation } = require('../image-header-parser');
+
+// SOI, one APPn segment of `appBytes` payload bytes, then a baseline SOF0
+function jpeg(width, height, appBytes = 14) {
+  const app = Buffer.alloc(4 + appBytes);
+  app.writeUInt16BE(0xFFE1, 0);
+  app.writeUInt16BE(appBytes + 2, 2);
+
+  const sof = Buffer.alloc(19);
+  sof.writeUInt16BE(0xFFC0, 0);
+  sof.writeUInt16BE(17, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  sof[9] = 3;
+
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app, sof]);
+}
+
+function png(width, height, colorType = 6) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  buffer[24] = 8;
+  buffer[25] = colorType;
+  return buffer;
+}
+
+function webp(chunkType, writeChunk) {
+  const buffer = Buffer.alloc(32);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(24, 4);
+  buffer.write('WEBP', 8, 'ascii');
+  buffer.write(chunkType, 12, 'ascii');
+  buffer.writeUInt32LE(12, 16);
+  writeChunk(buffer);
+  return buffer;
+}
+
+test('detects formats from their signatures', () => {
+  assert.equal(detectFormatFromMagicBytes(jpeg(10, 10)), 'JPEG');
+  assert.equal(detectFormatFromMagicBytes(png(10, 10)), 'PNG');
+  assert.equal(detectFormatFromMagicBytes(webp('VP8X', () => {})), 'WebP');
+  assert.equal(detectFormatFromMagicBytes(Buffer.from('GIF89a-not-supported')), 'UNKNOWN');
+  assert.equal(detectFormatFromMagicBytes(Buffer.alloc(4)), 'UNKNOWN');
+  assert.equal(detectFormatFromMagicBytes('not a buffer'), 'UNKNOWN');
+});
+
+test('reads JPEG dimensions behind a large APP segment', () => {
+  const result = parseImageHeader(jpeg(1200, 1600, 60000));
+  assert.equal(result.success, true);
+  assert.equal(result.format, 'JPEG');
+  assert.deepEqual(result.dimensions, { width: 1200, height: 1600, orientation: 'portrait', aspectRatio: '0.75' });
+  assert.equal(result.bitDepth, 8);
+  assert.equal(result.channels, 3);
+});
+
+test('fails on a JPEG that is cut off before its frame header', () => {
+  const result = parseImageHeader(jpeg(1200, 1600, 60000).subarray(0, 1000));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'HEADER_PARSE_FAILED');
+});
+
+test('reads PNG dimensions and channels from IHDR', () => {
+  const result = parseImageHeader(png(800, 600, 2));
+  assert.equal(result.success, true);
+  assert.equal(result.format, 'PNG');
+  assert.equal(result.dimensions.width, 800);
+  assert.equal(result.dimensions.height, 600);
+  assert.equal(result.dimensions.orientation, 'landscape');
+  assert.equal(result.channels, 3);
+});
+
+test('reads lossy, lossless and extended WebP headers', () => {
+  const lossy = webp('VP8 ', buffer => {
+    buffer[23] = 0x9D;
+    buffer[24] = 0x01;
+    buffer[25] = 0x2A;
+    buffer.writeUInt16LE(640, 26);
+    buffer.writeUInt16LE(480, 28);
+  });
+  const lossless = webp('VP8L', buffer => {
+    buffer[20] = 0x2F;
+    buffer.writeUInt32LE((1 << 28) | ((300 - 1) << 14) | (500 - 1), 21);
+  });
+  const extended = webp('VP8X', buffer => {
+    buffer[20] = 0x10;
+    buffer.writeUIntLE(2000 - 1, 24, 3);
+    buffer.writeUIntLE(2000 - 1, 27, 3);
+  });
+
+  assert.deepEqual(parseImageHeader(lossy).dimensions, { width: 640, height: 480, orientation: 'landscape', aspectRatio: '1.33' });
+  assert.equal(parseImageHeader(lossless).dimensions.width, 500);
+  assert.equal(parseImageHeader(lossless).dimensions.height, 300);
+  assert.equal(parseImageHeader(lossless).channels, 4);
+  assert.equal(parseImageHeader(extended).dimensions.orientation, 'square');
+  assert.equal(parseImageHeader(extended).channels, 4);
+});
+
+test('rejects unrecognised signatures', () => {
+  const result = parseImageHeader(Buffer.alloc(64));
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'UNRECOGNIZED_FORMAT');
+});
+
+test('describes orientation without dividing by zero', () => {
+  assert.deepEqual(describeOrientation(0, 0), { orientation: 'square', aspectRatio: null });
+});
@@ -0,0 +1,102 @@
+// backend/test/ingredient-checker.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRoutineSafety, detectGroups } = require('../ingredient-checker');
+
+function recommendation(productId, routine, ingredients, category = 'Treatment') {
+  return { productId, category, product: productId, ingredients, routine, reasoning: 'x' };
+}
+
+function byId(result, productId) {
+  return result.recommendations.find(entry => entry.productId === productId);
+}
+
+test('detects groups from model and catalog ingredients', () => {
+  const catalog = new Map([['serum-1', { productId: 'serum-1', ingredients: ['Ascorbic Acid'] }]]);
+  const groups = detectGroups(recommendation('serum-1', 'Morning', ['Retinol']), catalog);
+  assert.deepEqual(groups.sort(), ['retinoid', 'vitaminC']);
+});
+
+test('moves a clashing AHA to the morning routine', () => {
+  const result = checkRoutineSafety({
+    recommendations: [
+      recommendation('retinol-1', 'Night', ['retinol']),
+      recommendation('aha-1', 'Night', ['glycolic acid'])
+    ]
+  });
+
+  assert.equal(byId(result, 'aha-1').routine, 'Morning');
+  assert.deepEqual(byId(result, 'aha-1').warnings, [{
+    code: 'RETINOID_AHA',
+    severity: 'warning',
+    action: 'rewritten',
+    message: 'Retinoids and AHAs in the same routine greatly increase irritation; the AHA was moved to the morning routine.',
+    relatedProductId: 'retinol-1'
+  }]);
+  assert.equal(byId(result, 'retinol-1').warnings, undefined);
+});
+
+test('flags a rewrite rule with its flag message when the product cannot move', () => {
+  const result = checkRoutineSafety({
+    recommendations: [
+      recommendation('retinol-1', 'Both', ['retinol']),
+      recommendation('aha-1', 'Night', ['lactic acid'])
+    ]
+  });
+
+  assert.equal(byId(result, 'aha-1').routine, 'Night');
+  for (const productId of ['retinol-1', 'aha-1']) {
+    const [warning] = byId(result, productId).warnings;
+    assert.equal(warning.action, 'flagged');
+    assert.match(warning.message, /alternate days or at different times of day/);
+  }
+});
+
+test('flags pairs that share a routine only once per product', () => {
+  const result = checkRoutineSafety({
+    recommendations: [
+      recommendation('aha-1', 'Morning', ['glycolic acid']),
+      recommendation('bha-1', 'Both', ['salicylic acid']),
+      recommendation('bha-2', 'Morning', ['salicylic acid'])
+    ]
+  });
+
+  assert.equal(byId(result, 'aha-1').warnings.length, 1);
+  assert.equal(byId(result, 'aha-1').warnings[0].code, 'AHA_BHA');
+});
+
+test('removes pregnancy-unsafe products and flags sensitive skin', () => {
+  const input = {
+    recommendations: [
+      recommendation('retinol-1', 'Night', ['retinol']),
+      recommendation('bha-1', 'Morning', ['salicylic acid']),
+      recommendation('cleanser-1', 'Both', ['glycerin'], 'Cleanser')
+    ]
+  };
+  const result = checkRoutineSafety(input, { skinType: 'sensitive', pregnancyOrBreastfeeding: true });
+
+  assert.deepEqual(result.recommendations.map(entry => entry.productId), ['bha-1', 'cleanser-1']);
+  assert.deepEqual(result.excludedRecommendations.map(entry => entry.productId), ['retinol-1']);
+  assert.equal(result.excludedRecommendations[0].warnings.at(-1).action, 'removed');
+  assert.equal(byId(result, 'bha-1').warnings[0].code, 'SENSITIVE_SKIN_ACTIVES');
+  assert.equal(byId(result, 'cleanser-1').warnings, undefined);
+});
+
+test('applies age cautions only when the age is known', () => {
+  const input = { recommendations: [recommendation('retinol-1', 'Night', ['tretinoin'])] };
+
+  assert.equal(checkRoutineSafety(input, { age: 16 }).recommendations[0].warnings[0].code, 'UNDER_18_RETINOID');
+  assert.equal(checkRoutineSafety(input, {}).recommendations[0].warnings, undefined);
+});
+
+test('leaves the input result untouched', () => {
+  const input = {
+    recommendations: [
+      recommendation('retinol-1', 'Night', ['retinol']),
+      recommendation('aha-1', 'Night', ['glycolic acid'])
+    ]
+  };
+  checkRoutineSafety(input);
+  assert.equal(input.recommendations[1].routine, 'Night');
+  assert.equal(input.recommendations[1].warnings, undefined);
+});
@@ -0,0 +1,42 @@
+// backend/test/local-ai-provider.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getAIProvider } = require('../ai-providers');
+const { validateAIResponse } = require('../ai-response-schema');
+const catalog = require('../data/product-catalog.json');
+
+const profile = {
+  skinType: 'oily',
+  concerns: ['acne', 'dark spots'],
+  processedAnswers: { hydration: 2, stressLevel: 3, sunExposure: 'high' }
+};
+
+test('npm test runs against the offline provider', () => {
+  assert.equal(getAIProvider().name, 'local');
+});
+
+test('returns schema-valid output that only uses catalog products', async () => {
+  const { text, usage } = await getAIProvider().generate({ profile, catalog });
+  const result = validateAIResponse(text, { catalog });
+
+  assert.equal(result.valid, true, result.violations && result.violations.join('; '));
+  assert.equal(usage, null);
+  assert.deepEqual(result.value.recommendations.map(recommendation => recommendation.category),
+    ['Cleanser', 'Moisturizer', 'Treatment', 'Treatment', 'Sunscreen']);
+});
+
+test('gives the same response for the same inputs and streams it as one token', async () => {
+  const tokens = [];
+  const first = await getAIProvider().generate({ profile, catalog, onToken: token => tokens.push(token) });
+  const second = await getAIProvider().generate({ profile, catalog });
+
+  assert.equal(first.text, second.text);
+  assert.deepEqual(tokens, [first.text]);
+});
+
+test('writes the reasoning in the requested locale', async () => {
+  const { text } = await getAIProvider().generate({ profile, catalog, locale: 'es' });
+  const [cleanser] = JSON.parse(text).recommendations;
+
+  assert.equal(cleanser.reasoning, 'Limpiador suave de uso diario adecuado para piel grasa.');
+});
@@ -0,0 +1,46 @@
+// backend/test/recommendation-stream-parser.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRecommendationStreamParser } = require('../recommendation-stream-parser');
+
+function collect(chunks) {
+  const items = [];
+  const parser = createRecommendationStreamParser((item, index) => items.push({ item, index }));
+  chunks.forEach(chunk => parser.push(chunk));
+  return items;
+}
+
+test('emits each recommendation as soon as its object closes', () => {
+  const items = [];
+  const parser = createRecommendationStreamParser(item => items.push(item));
+
+  parser.push('{"findings":[{"region":"cheeks"}],"recommendations":[{"productId":"a",');
+  assert.equal(items.length, 0);
+  parser.push('"ingredients":["x"]},{"productId"');
+  assert.deepEqual(items, [{ productId: 'a', ingredients: ['x'] }]);
+  parser.push(':"b"}]}');
+  assert.deepEqual(items.map(item => item.productId), ['a', 'b']);
+});
+
+test('handles text split at every character', () => {
+  const text = JSON.stringify({ recommendations: [{ productId: 'a' }, { productId: 'b' }, { productId: 'c' }] });
+  const items = collect(text.split(''));
+  assert.deepEqual(items.map(({ item, index }) => [item.productId, index]), [['a', 0], ['b', 1], ['c', 2]]);
+});
+
+test('ignores braces and quotes inside strings', () => {
+  const text = '{"recommendations":[{"productId":"a","reasoning":"uses } and \\" and { freely"}]}';
+  const items = collect([text]);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].item.reasoning, 'uses } and " and { freely');
+});
+
+test('skips malformed items without losing the index of the next one', () => {
+  const items = collect(['{"recommendations":[{"productId":},{"productId":"b"}]}']);
+  assert.deepEqual(items.map(({ item, index }) => [item.productId, index]), [['b', 0]]);
+});
+
+test('stops at the end of the recommendations array', () => {
+  const items = collect(['{"recommendations":[{"productId":"a"}],"extra":[{"productId":"z"}]}']);
+  assert.deepEqual(items.map(({ item }) => item.productId), ['a']);
+});
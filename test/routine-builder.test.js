@@ -0,0 +1,76 @@
+// backend/test/routine-builder.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRoutineSchedule, buildRoutineCalendar } = require('../routine-builder');
+
+const result = {
+  recommendations: [
+    { productId: 'spf-1', category: 'Sunscreen', product: 'Daily SPF', ingredients: ['zinc oxide'], routine: 'Both' },
+    { productId: 'moist-1', category: 'Moisturizer', product: 'Barrier Cream', ingredients: ['ceramides'], routine: 'Both' },
+    { productId: 'retinol-1', category: 'Treatment', product: 'Retinol Serum', ingredients: ['retinol'], routine: 'Night' },
+    { productId: 'clean-1', category: 'Cleanser', product: 'Gentle Wash', ingredients: ['glycerin'], routine: 'Both' },
+    { productId: 'niacin-1', category: 'Treatment', product: 'Niacinamide Serum', ingredients: ['niacinamide'], routine: 'Both' }
+  ]
+};
+
+function categories(session) {
+  return session.steps.map(step => step.category);
+}
+
+test('builds weeks of dated days from the start date', () => {
+  const schedule = buildRoutineSchedule(result, { startDate: '2026-03-01', weeks: 2 });
+
+  assert.equal(schedule.startDate, '2026-03-01');
+  assert.equal(schedule.weeks.length, 2);
+  assert.equal(schedule.weeks[0].days[0].dayOfWeek, 'Sunday');
+  assert.equal(schedule.weeks[1].days[6].date, '2026-03-14');
+});
+
+test('orders steps by category and keeps sunscreen in the morning', () => {
+  const [day] = buildRoutineSchedule(result, { startDate: '2026-03-01' }).weeks[0].days;
+
+  assert.deepEqual(categories(day.morning), ['Cleanser', 'Moisturizer', 'Sunscreen']);
+  assert.deepEqual(categories(day.evening), ['Cleanser', 'Treatment', 'Moisturizer']);
+  assert.equal(day.evening.steps[1].activeGroup, 'retinoid');
+});
+
+test('ramps a new strong active up to every third session', () => {
+  const days = buildRoutineSchedule(result, { startDate: '2026-03-01' }).weeks[0].days;
+  const retinolDays = days.map(day => day.evening.steps.some(step => step.productId === 'retinol-1'));
+
+  assert.deepEqual(retinolDays, [true, false, false, true, false, false, true]);
+  assert.deepEqual(days[1].evening.notes, ['Rest session: no strong actives.']);
+});
+
+test('introduces treatments one week apart', () => {
+  const schedule = buildRoutineSchedule(result, { startDate: '2026-03-01' });
+
+  assert.deepEqual(schedule.introductions.map(entry => entry.startsOn), ['2026-03-01', '2026-03-08']);
+  const introductionDay = schedule.weeks[1].days[0];
+  assert.ok(introductionDay.morning.steps.some(step => step.productId === 'niacin-1'));
+  assert.ok(introductionDay.morning.notes.includes('New today: Niacinamide Serum. Patch test first.'));
+  assert.ok(!schedule.weeks[0].days[6].morning.steps.some(step => step.productId === 'niacin-1'));
+});
+
+test('clamps the number of weeks', () => {
+  assert.equal(buildRoutineSchedule(result, { startDate: '2026-03-01', weeks: 100 }).weeks.length, 12);
+  assert.equal(buildRoutineSchedule(result, { startDate: '2026-03-01', weeks: 'x' }).weeks.length, 4);
+});
+
+test('rejects start dates that do not exist', () => {
+  assert.deepEqual(buildRoutineSchedule(result, { startDate: '2026-02-31' }), { error: 'INVALID_START_DATE' });
+  assert.deepEqual(buildRoutineSchedule(result, { startDate: '03/01/2026' }), { error: 'INVALID_START_DATE' });
+});
+
+test('exports one event with a reminder per session', () => {
+  const schedule = buildRoutineSchedule(result, { startDate: '2026-03-01', weeks: 1 });
+  const calendar = buildRoutineCalendar(schedule, { runId: 'run-1', morningTime: '06:45' });
+  const lines = calendar.split('\r\n');
+
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 14);
+  assert.equal(lines.filter(line => line === 'BEGIN:VALARM').length, 14);
+  assert.ok(lines.includes('UID:run-1-2026-03-01-morning@glow-wizard'));
+  assert.ok(lines.includes('DTSTART:20260301T064500'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
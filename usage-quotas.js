@@ -0,0 +1,170 @@
+// backend/usage-quotas.js
+const admin = require('./firebase-admin-init');
+const tierConfig = require('./data/usage-tiers.json');
+
+/*
+ * Per-user AI usage quotas. Counters live in usage/{uid} and reset on fixed
+ * UTC windows: requests per hour and per day, and AI tokens per calendar
+ * month. The limits come from the user's tier (the `tier` custom claim,
+ * default tier otherwise) as defined in data/usage-tiers.json.
+ *
+ * enforceQuota counts a request before the pipeline runs and answers 429 with
+ * Retry-After once any limit is reached; tokens are added afterwards from the
+ * usage the AI provider reports, so the monthly budget blocks the request
+ * after the one that used it up.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function usageDoc(uid) {
+  return admin.firestore().collection('usage').doc(uid);
+}
+
+// Limits for a tier name, falling back to the default tier
+function getTierLimits(tier) {
+  const name = tierConfig.tiers[tier] ? tier : tierConfig.defaultTier;
+  return { tier: name, limits: tierConfig.tiers[name] };
+}
+
+// Window keys and when each window ends, for a point in time (UTC)
+function currentWindows(now = new Date()) {
+  const iso = now.toISOString();
+  const hourEnd = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS);
+  const dayEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+  return {
+    hour: { key: iso.slice(0, 13), endsAt: hourEnd },
+    day: { key: iso.slice(0, 10), endsAt: dayEnd },
+    month: { key: iso.slice(0, 7), endsAt: monthEnd }
+  };
+}
+
+// Stored counters with any expired window reset to zero
+function activeCounters(stored, windows) {
+  const data = stored || {};
+  return {
+    hourWindow: windows.hour.key,
+    hourlyRequests: data.hourWindow === windows.hour.key ? data.hourlyRequests || 0 : 0,
+    dayWindow: windows.day.key,
+    dailyRequests: data.dayWindow === windows.day.key ? data.dailyRequests || 0 : 0,
+    monthWindow: windows.month.key,
+    monthlyTokens: data.monthWindow === windows.month.key ? data.monthlyTokens || 0 : 0
+  };
+}
+
+// First exhausted limit, as { limit, retryAfter } in seconds, or null
+function findExceededLimit(counters, limits, windows, now) {
+  const checks = [
+    { limit: 'monthlyTokens', used: counters.monthlyTokens, max: limits.monthlyTokens, endsAt: windows.month.endsAt },
+    { limit: 'dailyRequests', used: counters.dailyRequests, max: limits.dailyRequests, endsAt: windows.day.endsAt },
+    { limit: 'hourlyRequests', used: counters.hourlyRequests, max: limits.hourlyRequests, endsAt: windows.hour.endsAt }
+  ];
+  const exceeded = checks.find(check => check.used >= check.max);
+  if (!exceeded) return null;
+
+  return {
+    limit: exceeded.limit,
+    retryAfter: Math.max(1, Math.ceil((exceeded.endsAt.getTime() - now.getTime()) / 1000))
+  };
+}
+
+// Count one request if every limit allows it; returns { allowed, ... }
+async function consumeRequest(uid, tier) {
+  const { limits } = getTierLimits(tier);
+  const ref = usageDoc(uid);
+  const now = new Date();
+  const windows = currentWindows(now);
+
+  return admin.firestore().runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    const counters = activeCounters(doc.exists ? doc.data() : null, windows);
+
+    const exceeded = findExceededLimit(counters, limits, windows, now);
+    if (exceeded) {
+      return { allowed: false, ...exceeded };
+    }
+
+    transaction.set(ref, {
+      ...counters,
+      hourlyRequests: counters.hourlyRequests + 1,
+      dailyRequests: counters.dailyRequests + 1,
+      updatedAt: now.toISOString()
+    });
+    return { allowed: true };
+  });
+}
+
+// Add AI tokens to the month's total; usage is the engine's { totalTokens } summary
+async function recordTokenUsage(uid, usage) {
+  if (!usage || !usage.totalTokens) return;
+
+  const ref = usageDoc(uid);
+  const windows = currentWindows();
+
+  await admin.firestore().runTransaction(async transaction => {
+    const doc = await transaction.get(ref);
+    const counters = activeCounters(doc.exists ? doc.data() : null, windows);
+
+    transaction.set(ref, {
+      ...counters,
+      monthlyTokens: counters.monthlyTokens + usage.totalTokens,
+      updatedAt: new Date().toISOString()
+    });
+  });
+}
+
+// Limits, usage and remaining allowance for GET /usage/me
+async function getUsageSummary(uid, tierClaim) {
+  const { tier, limits } = getTierLimits(tierClaim);
+  const windows = currentWindows();
+  const doc = await usageDoc(uid).get();
+  const counters = activeCounters(doc.exists ? doc.data() : null, windows);
+
+  const used = {
+    hourlyRequests: counters.hourlyRequests,
+    dailyRequests: counters.dailyRequests,
+    monthlyTokens: counters.monthlyTokens
+  };
+
+  return {
+    tier,
+    limits,
+    used,
+    remaining: Object.fromEntries(Object.keys(used).map(key => [key, Math.max(0, limits[key] - used[key])])),
+    resetsAt: {
+      hourlyRequests: windows.hour.endsAt.toISOString(),
+      dailyRequests: windows.day.endsAt.toISOString(),
+      monthlyTokens: windows.month.endsAt.toISOString()
+    }
+  };
+}
+
+// Middleware (after requireAuth): count the request or answer 429 with Retry-After
+async function enforceQuota(req, res, next) {
+  try {
+    const result = await consumeRequest(req.user.uid, req.user.tier);
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: "QUOTA_EXCEEDED",
+        limit: result.limit,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('[QUOTA ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+}
+
+module.exports = {
+  enforceQuota,
+  consumeRequest,
+  recordTokenUsage,
+  getUsageSummary,
+  getTierLimits
+};
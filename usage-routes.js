@@ -0,0 +1,22 @@
+// backend/usage-routes.js
+const express = require('express');
+const requireAuth = require('./auth-middleware');
+const { getUsageSummary } = require('./usage-quotas');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Current Usage (limits, used and remaining allowance for the caller's tier)
+router.get('/me', async (req, res) => {
+  try {
+    const usage = await getUsageSummary(req.user.uid, req.user.tier);
+    res.json({ success: true, usage });
+
+  } catch (error) {
+    console.error('[USAGE ERROR]', error);
+    res.status(500).json({ error: "INTERNAL_ERROR" });
+  }
+});
+
+module.exports = router;
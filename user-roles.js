@@ -0,0 +1,73 @@
+// backend/user-roles.js
+const admin = require('./firebase-admin-init');
+const { ROLES } = require('./role-middleware');
+
+/*
+ * Role management on Firebase custom claims. Roles are kept as a `roles`
+ * array next to any other claims (such as the quota `tier`), which are
+ * preserved on every change. New claims only reach the user with their next
+ * ID token, so removing a role also revokes their refresh tokens: /admin
+ * verifies tokens with checkRevoked and refuses the old ones at once.
+ *
+ * The profile's `locale` is mirrored into a `locale` claim the same way, so
+ * requireAuth can localize responses without reading the profile.
+ */
+
+// Current roles, or { error: 'USER_NOT_FOUND' }
+async function getUserRoles(uid) {
+  try {
+    const user = await admin.auth().getUser(uid);
+    const claims = user.customClaims || {};
+    return { roles: Array.isArray(claims.roles) ? claims.roles : [] };
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return { error: 'USER_NOT_FOUND' };
+    }
+    throw error;
+  }
+}
+
+// Add or remove one role; returns { roles, changed } or { error }
+async function setUserRole(uid, role, granted) {
+  if (!ROLES.includes(role)) {
+    return { error: 'UNKNOWN_ROLE' };
+  }
+
+  let user;
+  try {
+    user = await admin.auth().getUser(uid);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return { error: 'USER_NOT_FOUND' };
+    }
+    throw error;
+  }
+
+  const claims = user.customClaims || {};
+  const current = Array.isArray(claims.roles) ? claims.roles : [];
+  const roles = granted
+    ? [...new Set([...current, role])]
+    : current.filter(existing => existing !== role);
+
+  if (roles.length === current.length) {
+    return { roles, changed: false };
+  }
+
+  await admin.auth().setCustomUserClaims(uid, { ...claims, roles });
+  if (!granted) {
+    await admin.auth().revokeRefreshTokens(uid);
+  }
+  return { roles, changed: true };
+}
+
+// Mirror the profile locale into the `locale` claim (null removes it); reaches the
+// client with its next ID token, Accept-Language applies until then
+async function setUserLocaleClaim(uid, locale) {
+  const user = await admin.auth().getUser(uid);
+  const { locale: current, ...claims } = user.customClaims || {};
+  if ((current || null) === (locale || null)) return;
+
+  await admin.auth().setCustomUserClaims(uid, locale ? { ...claims, locale } : claims);
+}
+
+module.exports = { getUserRoles, setUserRole, setUserLocaleClaim };